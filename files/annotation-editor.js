@@ -0,0 +1,413 @@
+// 写真アノテーション用JavaScript
+// 矢印・円・四角・フリーハンド・文字・寸法線をベクターデータとして写真に重ねる
+// 座標は画像の幅・高さに対する0〜1の比率で保存し、画質設定やサイズが変わっても位置がずれないようにする
+(() => {
+    const DEFAULT_COLOR = '#ef4444';
+    const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+    const STROKE_UNIT = 1 / 200; // 線幅1 = 画像の短辺の1/200
+    const TEXT_SIZE = 0.045; // 文字の高さ(画像の短辺に対する比率)
+
+    const TOOLS = {
+        select: '選択',
+        arrow: '矢印',
+        ellipse: '楕円',
+        rect: '四角',
+        freehand: '手書き',
+        text: '文字',
+        dimension: '寸法線',
+    };
+
+    /**
+     * 保存された色が #rrggbb 形式ならその色、そうでなければ既定の色を返す(SVGの属性にそのまま入れるため)
+     */
+    function getColor(shape) {
+        return COLOR_PATTERN.test(shape.color) ? shape.color : DEFAULT_COLOR;
+    }
+
+    /**
+     * 読み込んだ書き込みデータを整える。形式の正しくない色は削除して既定の色で描く
+     */
+    function normalizeAnnotations(annotations) {
+        annotations.forEach(shape => {
+            if (shape && shape.color !== undefined && !COLOR_PATTERN.test(shape.color)) {
+                console.warn(`Invalid annotation color: ${shape.color}. Using "${DEFAULT_COLOR}".`);
+                delete shape.color;
+            }
+        });
+        return annotations.filter(shape => shape && typeof shape === 'object');
+    }
+
+    function estimateTextWidth(text, fontSize) {
+        // 全角は1文字1em、半角は0.6emとして概算する
+        return Array.from(text).reduce((sum, c) => sum + (c.charCodeAt(0) > 0xFF ? 1 : 0.6), 0) * fontSize;
+    }
+
+    /**
+     * 矢じり(三角形)の頂点を返す
+     */
+    function arrowHeadPoints(x1, y1, x2, y2, size) {
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const spread = Math.PI / 7;
+        return [
+            [x2, y2],
+            [x2 - size * Math.cos(angle - spread), y2 - size * Math.sin(angle - spread)],
+            [x2 - size * Math.cos(angle + spread), y2 - size * Math.sin(angle + spread)],
+        ];
+    }
+
+    function pointsAttr(points) {
+        return points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+    }
+
+    function textLabelSVG(text, x, y, fontSize, color, strokeWidth) {
+        const width = estimateTextWidth(text, fontSize);
+        const padding = fontSize * 0.25;
+        return `<rect x="${(x - padding).toFixed(1)}" y="${(y - fontSize - padding).toFixed(1)}" width="${(width + padding * 2).toFixed(1)}" height="${(fontSize * 1.2 + padding * 2).toFixed(1)}" fill="#ffffff" stroke="${color}" stroke-width="${strokeWidth.toFixed(1)}"/>`
+            + `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" fill="${color}" font-size="${fontSize.toFixed(1)}" font-weight="bold">${window.DomUtils.escapeHtml(text)}</text>`;
+    }
+
+    /**
+     * 1つの図形をSVG要素の文字列に変換する(座標は画像のピクセル単位)
+     */
+    function shapeToSVG(shape, width, height, selected) {
+        const unit = Math.min(width, height);
+        const color = getColor(shape);
+        const strokeWidth = (shape.strokeWidth || 1) * unit * STROKE_UNIT;
+        const fontSize = (shape.fontSize || 1) * unit * TEXT_SIZE;
+        const px = (x) => x * width;
+        const py = (y) => y * height;
+        const stroke = `stroke="${color}" stroke-width="${strokeWidth.toFixed(1)}" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+        let svg = '';
+
+        switch (shape.type) {
+            case 'arrow': {
+                const [x1, y1, x2, y2] = [px(shape.x1), py(shape.y1), px(shape.x2), py(shape.y2)];
+                svg = `<line x1="${x1.toFixed(1)}" y1="${y1.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}" ${stroke}/>`
+                    + `<polygon points="${pointsAttr(arrowHeadPoints(x1, y1, x2, y2, strokeWidth * 5))}" fill="${color}"/>`;
+                break;
+            }
+            case 'ellipse':
+                svg = `<ellipse cx="${px(shape.x + shape.w / 2).toFixed(1)}" cy="${py(shape.y + shape.h / 2).toFixed(1)}" rx="${px(Math.abs(shape.w) / 2).toFixed(1)}" ry="${py(Math.abs(shape.h) / 2).toFixed(1)}" ${stroke}/>`;
+                break;
+            case 'rect':
+                svg = `<rect x="${px(Math.min(shape.x, shape.x + shape.w)).toFixed(1)}" y="${py(Math.min(shape.y, shape.y + shape.h)).toFixed(1)}" width="${px(Math.abs(shape.w)).toFixed(1)}" height="${py(Math.abs(shape.h)).toFixed(1)}" ${stroke}/>`;
+                break;
+            case 'freehand':
+                svg = `<polyline points="${pointsAttr(shape.points.map(([x, y]) => [px(x), py(y)]))}" ${stroke}/>`;
+                break;
+            case 'text':
+                svg = textLabelSVG(shape.text || '', px(shape.x), py(shape.y), fontSize, color, strokeWidth / 2);
+                break;
+            case 'dimension': {
+                const [x1, y1, x2, y2] = [px(shape.x1), py(shape.y1), px(shape.x2), py(shape.y2)];
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const tick = strokeWidth * 4;
+                const tx = Math.sin(angle) * tick;
+                const ty = -Math.cos(angle) * tick;
+                svg = `<line x1="${x1.toFixed(1)}" y1="${y1.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}" ${stroke}/>`
+                    + `<line x1="${(x1 - tx).toFixed(1)}" y1="${(y1 - ty).toFixed(1)}" x2="${(x1 + tx).toFixed(1)}" y2="${(y1 + ty).toFixed(1)}" ${stroke}/>`
+                    + `<line x1="${(x2 - tx).toFixed(1)}" y1="${(y2 - ty).toFixed(1)}" x2="${(x2 + tx).toFixed(1)}" y2="${(y2 + ty).toFixed(1)}" ${stroke}/>`
+                    + `<polygon points="${pointsAttr(arrowHeadPoints(x1, y1, x2, y2, strokeWidth * 4))}" fill="${color}"/>`
+                    + `<polygon points="${pointsAttr(arrowHeadPoints(x2, y2, x1, y1, strokeWidth * 4))}" fill="${color}"/>`;
+                if (shape.label) {
+                    const labelWidth = estimateTextWidth(shape.label, fontSize);
+                    svg += textLabelSVG(shape.label, (x1 + x2) / 2 - labelWidth / 2, (y1 + y2) / 2 - tick - fontSize * 0.4, fontSize, color, strokeWidth / 2);
+                }
+                break;
+            }
+            default:
+                return '';
+        }
+        const selectedClass = selected ? ' class="annotation-selected"' : '';
+        return `<g data-shape-id="${shape.id}"${selectedClass}>${svg}</g>`;
+    }
+
+    /**
+     * 写真に重ねるSVGを生成する
+     * preserveAspectRatioには画像の表示方法に合わせて slice(トリミング) / meet(全体表示) を指定する
+     */
+    function renderSVG(annotations, width, height, preserveAspectRatio = 'xMidYMid meet', selectedId = null) {
+        if (!annotations || annotations.length === 0 || !width || !height) return '';
+        const shapes = annotations.map(shape => shapeToSVG(shape, width, height, shape.id === selectedId)).join('');
+        return `<svg class="annotation-layer" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="${preserveAspectRatio}">${shapes}</svg>`;
+    }
+
+    // --- 編集画面 ---
+
+    let editor = null;
+
+    function createShapeId() {
+        return `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * 図形を平行移動する(正規化座標)
+     */
+    function moveShape(shape, dx, dy) {
+        if ('x1' in shape) {
+            shape.x1 += dx; shape.x2 += dx; shape.y1 += dy; shape.y2 += dy;
+        } else if (shape.points) {
+            shape.points = shape.points.map(([x, y]) => [x + dx, y + dy]);
+        } else {
+            shape.x += dx; shape.y += dy;
+        }
+    }
+
+    /**
+     * 図形の座標を mapPoint([x, y]) で変換した図形を返す(写真の回転・切り抜きを変えたときに使う)
+     */
+    function transformShape(shape, mapPoint) {
+        const result = { ...shape };
+        if ('x1' in shape) {
+            [result.x1, result.y1] = mapPoint([shape.x1, shape.y1]);
+            [result.x2, result.y2] = mapPoint([shape.x2, shape.y2]);
+        } else if (shape.points) {
+            result.points = shape.points.map(mapPoint);
+        } else if ('w' in shape) {
+            const [x1, y1] = mapPoint([shape.x, shape.y]);
+            const [x2, y2] = mapPoint([shape.x + shape.w, shape.y + shape.h]);
+            Object.assign(result, { x: x1, y: y1, w: x2 - x1, h: y2 - y1 });
+        } else {
+            [result.x, result.y] = mapPoint([shape.x, shape.y]);
+        }
+        return result;
+    }
+
+    function transformAnnotations(annotations, mapPoint) {
+        return annotations.map(shape => transformShape(shape, mapPoint));
+    }
+
+    function setupEditor() {
+        const modal = document.getElementById('annotation-modal');
+        const stage = document.getElementById('annotation-stage');
+        const image = document.getElementById('annotation-image');
+        const overlay = document.getElementById('annotation-overlay');
+        const toolbar = document.getElementById('annotation-tools');
+        const colorInput = document.getElementById('annotation-color');
+        const widthSelect = document.getElementById('annotation-width');
+
+        toolbar.innerHTML = Object.entries(TOOLS).map(([tool, label]) =>
+            `<button type="button" data-tool="${tool}" class="annotation-tool px-2 py-1 rounded-md border text-sm">${label}</button>`
+        ).join('');
+
+        const instance = {
+            photo: null,
+            image: null,
+            shapes: [],
+            tool: 'arrow',
+            selectedId: null,
+            drag: null,
+            onSave: null,
+        };
+
+        const redraw = () => {
+            const { width, height } = instance.image;
+            overlay.innerHTML = renderSVG(instance.shapes, width, height, 'none', instance.selectedId)
+                || `<svg class="annotation-layer" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"></svg>`;
+            toolbar.querySelectorAll('[data-tool]').forEach(button => {
+                button.classList.toggle('bg-indigo-600', button.dataset.tool === instance.tool);
+                button.classList.toggle('text-white', button.dataset.tool === instance.tool);
+            });
+        };
+
+        const toNormalized = (e) => {
+            const rect = overlay.getBoundingClientRect();
+            return [
+                Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+                Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+            ];
+        };
+
+        // 画像の縦横比を保ったまま、編集領域に収まる大きさにする
+        const fitStage = () => {
+            const wrapper = stage.parentElement;
+            const { width, height } = instance.image;
+            const ratio = Math.min(wrapper.clientWidth / width, wrapper.clientHeight / height);
+            stage.style.width = `${width * ratio}px`;
+            stage.style.height = `${height * ratio}px`;
+        };
+
+        const selectedShape = () => instance.shapes.find(s => s.id === instance.selectedId);
+
+        const close = () => {
+            modal.classList.add('hidden');
+            instance.photo = null;
+        };
+
+        toolbar.addEventListener('click', e => {
+            const button = e.target.closest('[data-tool]');
+            if (!button) return;
+            instance.tool = button.dataset.tool;
+            if (instance.tool !== 'select') instance.selectedId = null;
+            redraw();
+        });
+
+        overlay.addEventListener('pointerdown', e => {
+            e.preventDefault();
+            const [x, y] = toNormalized(e);
+            const style = { color: colorInput.value, strokeWidth: Number(widthSelect.value) };
+
+            if (instance.tool === 'select') {
+                const group = e.target.closest('[data-shape-id]');
+                instance.selectedId = group ? group.dataset.shapeId : null;
+                if (group) instance.drag = { mode: 'move', lastX: x, lastY: y };
+                redraw();
+                overlay.setPointerCapture(e.pointerId);
+                return;
+            }
+
+            let shape;
+            if (instance.tool === 'text') {
+                const text = prompt('文字を入力してください');
+                if (!text) return;
+                shape = { type: 'text', x, y, text, ...style };
+            } else if (instance.tool === 'freehand') {
+                shape = { type: 'freehand', points: [[x, y]], ...style };
+            } else if (instance.tool === 'arrow' || instance.tool === 'dimension') {
+                shape = { type: instance.tool, x1: x, y1: y, x2: x, y2: y, ...style };
+            } else {
+                shape = { type: instance.tool, x, y, w: 0, h: 0, ...style };
+            }
+            shape.id = createShapeId();
+            instance.shapes.push(shape);
+            instance.selectedId = null;
+            if (shape.type !== 'text') {
+                instance.drag = { mode: 'draw', shape };
+                overlay.setPointerCapture(e.pointerId);
+            }
+            redraw();
+        });
+
+        overlay.addEventListener('pointermove', e => {
+            if (!instance.drag) return;
+            const [x, y] = toNormalized(e);
+            const { mode, shape } = instance.drag;
+            if (mode === 'move') {
+                const target = selectedShape();
+                if (target) moveShape(target, x - instance.drag.lastX, y - instance.drag.lastY);
+                instance.drag.lastX = x;
+                instance.drag.lastY = y;
+            } else if (shape.type === 'freehand') {
+                shape.points.push([x, y]);
+            } else if ('x1' in shape) {
+                shape.x2 = x;
+                shape.y2 = y;
+            } else {
+                shape.w = x - shape.x;
+                shape.h = y - shape.y;
+            }
+            redraw();
+        });
+
+        overlay.addEventListener('pointerup', () => {
+            if (!instance.drag) return;
+            const { mode, shape } = instance.drag;
+            instance.drag = null;
+            if (mode !== 'draw') return;
+            if (shape.type === 'ellipse' || shape.type === 'rect') {
+                // 負の幅・高さを正規化しておく
+                if (shape.w < 0) { shape.x += shape.w; shape.w = -shape.w; }
+                if (shape.h < 0) { shape.y += shape.h; shape.h = -shape.h; }
+            }
+            const tooSmall = 'x1' in shape
+                ? Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) < 0.01
+                : shape.points ? shape.points.length < 2 : shape.w < 0.005 && shape.h < 0.005;
+            if (tooSmall) {
+                instance.shapes = instance.shapes.filter(s => s !== shape);
+            } else if (shape.type === 'dimension') {
+                shape.label = prompt('寸法を入力してください (例: 1200mm)') || '';
+            }
+            redraw();
+        });
+
+        overlay.addEventListener('dblclick', e => {
+            const group = e.target.closest('[data-shape-id]');
+            const shape = group && instance.shapes.find(s => s.id === group.dataset.shapeId);
+            if (!shape) return;
+            if (shape.type === 'text') {
+                const text = prompt('文字を編集してください', shape.text);
+                if (text) shape.text = text;
+            } else if (shape.type === 'dimension') {
+                const label = prompt('寸法を編集してください', shape.label || '');
+                if (label !== null) shape.label = label;
+            }
+            redraw();
+        });
+
+        colorInput.addEventListener('change', () => {
+            const shape = selectedShape();
+            if (shape) { shape.color = colorInput.value; redraw(); }
+        });
+
+        widthSelect.addEventListener('change', () => {
+            const shape = selectedShape();
+            if (shape) { shape.strokeWidth = Number(widthSelect.value); redraw(); }
+        });
+
+        document.getElementById('annotation-delete').addEventListener('click', () => {
+            instance.shapes = instance.shapes.filter(s => s.id !== instance.selectedId);
+            instance.selectedId = null;
+            redraw();
+        });
+
+        document.getElementById('annotation-undo').addEventListener('click', () => {
+            instance.shapes.pop();
+            redraw();
+        });
+
+        document.getElementById('annotation-clear').addEventListener('click', () => {
+            if (instance.shapes.length && confirm('すべての書き込みを消去しますか？')) {
+                instance.shapes = [];
+                redraw();
+            }
+        });
+
+        document.getElementById('annotation-cancel').addEventListener('click', close);
+
+        document.getElementById('annotation-save').addEventListener('click', () => {
+            const { photo, shapes, onSave } = instance;
+            close();
+            onSave(photo, shapes);
+        });
+
+        window.addEventListener('resize', () => {
+            if (instance.photo) fitStage();
+        });
+
+        document.addEventListener('keydown', e => {
+            if (modal.classList.contains('hidden')) return;
+            if (e.key === 'Escape') close();
+            if ((e.key === 'Delete' || e.key === 'Backspace') && instance.selectedId) {
+                instance.shapes = instance.shapes.filter(s => s.id !== instance.selectedId);
+                instance.selectedId = null;
+                redraw();
+            }
+        });
+
+        instance.open = (photo, displayImage, onSave) => {
+            instance.photo = photo;
+            instance.image = displayImage;
+            instance.shapes = JSON.parse(JSON.stringify(photo.annotations || []));
+            instance.selectedId = null;
+            instance.onSave = onSave;
+            image.onload = () => redraw();
+            image.src = displayImage.url;
+            modal.classList.remove('hidden');
+            fitStage();
+            redraw();
+        };
+
+        return instance;
+    }
+
+    /**
+     * 編集画面を開く。displayImageは書き込む対象の画像 { url, width, height }
+     * 保存時に onSave(photo, annotations) が呼ばれる
+     */
+    function open(photo, displayImage, onSave) {
+        if (!editor) editor = setupEditor();
+        editor.open(photo, displayImage, onSave);
+    }
+
+    window.AnnotationEditor = { renderSVG, open, normalizeAnnotations, transformAnnotations };
+})();
@@ -1,33 +1,88 @@
 document.addEventListener('DOMContentLoaded', () => {
     // --- 状態管理オブジェクト ---
-    let state = {
-        siteName: '',
-        personName: '',
-        date: '',
-        photosPerPage: 4,
-        orientation: 'portrait',
-        fontFamily: 'sans-serif',
-        fontSize: 10,
-        fontWeight: 'normal',
-        imageQuality: 'high', // 'high' or 'highest'
-        imageDisplayMode: 'trim', // 'trim' or 'fit'
-        photos: [],
-        zoomLevel: 1.0, // 初期値は動的計算で上書きされます
-    };
+    let state = createInitialState();
+    let currentProjectId = null; // IndexedDBに自動保存する現場のID
+    let isAutosaveFailing = false; // 自動保存に続けて失敗している間 true(失敗を1度だけ知らせる)
+    const undoHistory = window.UndoHistory.createHistory(); // 元に戻す・やり直しの履歴
+    const escapeHtml = window.DomUtils.escapeHtml; // 画面に埋め込む文字のエスケープ
+    const selectedPhotoIds = new Set(); // 写真リストで選択中の写真(保存・履歴の対象外)
+    let lastSelectedPhotoId = null; // Shift+クリックで範囲選択するときの起点
+    let lastImportOrder = 0; // 最後に採番した取り込み順
+    let activeImport = null; // 実行中の写真の取り込み処理 { promise, cancel }
+    const photoListItems = new Map(); // 写真リストの項目(key → { element, html })。再描画時に再利用する
+    const previewPages = []; // プレビューのページ [{ element, html, renderedHtml, isNearViewport }]
+    const previewPagesByElement = new WeakMap();
+    let isOutputInProgress = false; // 印刷・PDF出力中はすべてのページの中身を保つ
+
+    function createInitialState() {
+        return {
+            siteName: '',
+            personName: '',
+            date: '',
+            layout: window.PageLayout.createDefaultLayout(), // ページレイアウト(行×列・キャプション位置)
+            orientation: 'portrait',
+            pageSetup: window.PageSetup.createDefaultPageSetup(), // 用紙サイズ・余白・とじしろ
+            fontFamily: 'sans-serif',
+            fontSize: 10,
+            fontWeight: 'normal',
+            imageQuality: 'high', // 'high' or 'highest'
+            keepSourceImages: false, // 電子納品用に縮小前の元の画像(JPEG)も保存するかどうか
+            imageDisplayMode: 'trim', // 'trim' or 'fit'
+            photoInfoFields: { takenAt: true, gps: false, cameraModel: false }, // 写真ごとに表示するEXIF情報
+            template: window.ReportTemplate.createDefaultTemplate(), // ヘッダー・写真ごとの項目定義
+            headerValues: {}, // テンプレートで追加した共通項目の値
+            sections: [], // 写真のまとまり [{ id, name }]。写真は sectionId で所属を持つ
+            coverPage: false, // 表紙を付けるかどうか
+            coverTitle: '工事写真帳',
+            tableOfContents: false, // 目次を付けるかどうか
+            deliveryStandard: window.PhotoDelivery.DEFAULT_STANDARD, // 電子納品の適用要領基準
+            photos: [],
+            zoomLevel: 1.0, // 初期値は動的計算で上書きされます
+        };
+    }
 
     // --- DOM要素 ---
-    const siteNameInput = document.getElementById('siteName');
-    const personNameInput = document.getElementById('personName');
-    const dateInput = document.getElementById('date');
-    const photosPerPageSelect = document.getElementById('photosPerPage');
+    const headerFieldsContainer = document.getElementById('header-fields');
+    const templateSelect = document.getElementById('template-select');
+    const editTemplateButton = document.getElementById('edit-template-button');
+    const deleteTemplateButton = document.getElementById('delete-template-button');
+    const pageLayoutSelect = document.getElementById('pageLayout');
+    const customLayoutFields = document.getElementById('custom-layout-fields');
+    const layoutRowsInput = document.getElementById('layoutRows');
+    const layoutColumnsInput = document.getElementById('layoutColumns');
+    const captionPositionSelect = document.getElementById('captionPosition');
+    const paperSizeSelect = document.getElementById('paperSize');
+    const pageMarginInputs = document.querySelectorAll('#page-margins [data-margin]');
+    const bindingMarginInput = document.getElementById('bindingMargin');
+    const bindingEdgeSelect = document.getElementById('bindingEdge');
+    const coverPageCheckbox = document.getElementById('coverPage');
+    const coverTitleInput = document.getElementById('coverTitle');
+    const tableOfContentsCheckbox = document.getElementById('tableOfContents');
+    const addSectionButton = document.getElementById('add-section-button');
+    const photoBulkToolbar = document.getElementById('photo-bulk-toolbar');
+    const photoBulkActions = document.getElementById('photo-bulk-actions');
+    const selectAllPhotosCheckbox = document.getElementById('select-all-photos');
+    const photoSelectionCount = document.getElementById('photo-selection-count');
+    const photoSortOrderSelect = document.getElementById('photo-sort-order');
+    const bulkMovePositionInput = document.getElementById('bulk-move-position');
+    const bulkFieldSelect = document.getElementById('bulk-field');
+    const bulkFieldValueInput = document.getElementById('bulk-field-value');
+    const bulkDisplayModeSelect = document.getElementById('bulk-display-mode');
+    const comparisonStageOptions = document.getElementById('comparison-stage-options');
     const orientationSelect = document.getElementById('orientation');
     const fontFamilySelect = document.getElementById('fontFamily');
     const fontSizeInput = document.getElementById('fontSize');
     const fontWeightSelect = document.getElementById('fontWeight');
     const imageQualityRadios = document.querySelectorAll('input[name="imageQuality"]');
+    const keepSourceImagesCheckbox = document.getElementById('keepSourceImages');
     const imageDisplayModeRadios = document.querySelectorAll('input[name="imageDisplayMode"]');
+    const photoInfoCheckboxes = document.querySelectorAll('input[name="photoInfoField"]');
     const dropZone = document.getElementById('drop-zone');
     const fileInput = document.getElementById('file-input');
+    const importProgress = document.getElementById('import-progress');
+    const importProgressText = document.getElementById('import-progress-text');
+    const importProgressBar = document.getElementById('import-progress-bar');
+    const importCancelButton = document.getElementById('import-cancel-button');
     const photoListContainer = document.getElementById('photo-list');
     const previewPanel = document.getElementById('preview-panel');
     const previewContainer = document.getElementById('preview-container');
@@ -39,14 +94,64 @@ document.addEventListener('DOMContentLoaded', () => {
     const saveButton = document.getElementById('save-button');
     const loadButton = document.getElementById('load-button');
     const loadInput = document.getElementById('load-input');
+    const projectLibraryList = document.getElementById('project-library-list');
+    const newProjectButton = document.getElementById('new-project-button');
+    const ledgerImportButton = document.getElementById('ledger-import-button');
+    const ledgerImportInput = document.getElementById('ledger-import-input');
+    const ledgerExportButton = document.getElementById('ledger-export-button');
+    const deliveryButton = document.getElementById('delivery-button');
+    const undoButton = document.getElementById('undo-button');
+    const redoButton = document.getElementById('redo-button');
+    const undoToast = document.getElementById('undo-toast');
+    const reorderAnnouncer = document.getElementById('reorder-announcer');
+    const undoToastMessage = document.getElementById('undo-toast-message');
 
     // --- 初期化 ---
     function initialize() {
-        dateInput.valueAsDate = new Date();
-        state.date = dateInput.value;
+        state.date = getTodayString();
+        currentProjectId = window.ProjectStore.generateProjectId();
+        renderHeaderFields();
+        renderTemplateOptions();
+        renderLayoutOptions();
+        comparisonStageOptions.innerHTML = window.PhotoComparison.STAGE_OPTIONS.map(stage => `<option value="${stage}">`).join('');
         render();
+        resetHistory();
         // 初回レンダリング後に最適なズームを計算
         setTimeout(calculateAndSetOptimalZoom, 0);
+        window.OfflineApp.register();
+        restoreLastProject().then(() => {
+            receiveLaunchedFiles();
+            window.GenbaPhoto.connectApp(createPublicApi());
+        });
+    }
+
+    /**
+     * 前回開いていた現場をIndexedDBから復元する
+     */
+    function restoreLastProject() {
+        return window.ProjectStore.getLastProjectId()
+            .then(id => (id ? window.ProjectStore.getProject(id) : null))
+            .then(project => {
+                if (project) {
+                    currentProjectId = project.id;
+                    applyState(migrateStoredState(project));
+                    resetHistory();
+                }
+                renderProjectLibrary();
+            })
+            .catch(err => console.warn('Failed to restore the last project:', err));
+    }
+
+    /**
+     * 共有メニューから送られた写真を現在の現場に追加し、ファイルの関連付けで開かれた現場データを読み込む
+     */
+    function receiveLaunchedFiles() {
+        window.OfflineApp.takeSharedFiles()
+            .then(files => {
+                if (files.length > 0) handleFiles(files);
+            })
+            .catch(err => console.warn('Failed to receive shared photos:', err));
+        window.OfflineApp.onLaunchFiles(files => loadProjectFile(files[0]));
     }
 
     // --- レンダリング関数 ---
@@ -55,70 +160,870 @@ document.addEventListener('DOMContentLoaded', () => {
         renderPreview();
     }
 
+    /**
+     * テンプレートに従って共通情報の入力欄を生成する
+     * 組み込み項目は従来どおり siteName / personName / date のIDを持つ
+     */
+    function renderHeaderFields() {
+        const fields = window.ReportTemplate.getHeaderInputFields(state.template);
+        headerFieldsContainer.innerHTML = fields.map(field => {
+            const inputId = escapeHtml(field.builtin ? field.id : `header-${field.id}`);
+            const value = window.ReportTemplate.getHeaderValue(state, field);
+            const hiddenNote = field.placement === 'hidden' ? '<span class="text-xs text-gray-500 ml-2">(非表示)</span>' : '';
+            return `<div>
+                <label for="${inputId}" class="block text-sm font-medium text-gray-600">${escapeHtml(field.label)}${hiddenNote}</label>
+                ${window.ReportTemplate.renderInput(field, value, `id="${inputId}" data-header-field="${escapeHtml(field.id)}"`, 'mt-1 block w-full rounded-md shadow-sm sm:text-sm input-highlight')}
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * 写真リストのセクション見出し(名前の変更・並び替え・削除)の項目を生成
+     */
+    function getSectionHeaderItem(section, photoCount, index) {
+        const className = 'section-header flex items-center gap-2 p-2 rounded-lg bg-indigo-50 border';
+        if (!section) {
+            return {
+                key: 'section:',
+                className,
+                html: `<span class="flex-1 text-sm font-bold text-gray-600">未分類</span><span class="text-xs text-gray-500">${photoCount}枚</span>`,
+            };
+        }
+        return {
+            key: `section:${section.id}`,
+            className,
+            attributes: { 'data-section-id': section.id },
+            html: `
+            <input type="text" data-section-name="${section.id}" value="${escapeHtml(section.name)}" class="flex-1 text-sm font-bold p-1 rounded-md input-highlight" placeholder="セクション名">
+            <span class="text-xs text-gray-500 flex-shrink-0">${photoCount}枚</span>
+            <button type="button" data-section-action="up" class="px-2 border rounded-md text-sm bg-white" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" data-section-action="down" class="px-2 border rounded-md text-sm bg-white" ${index === state.sections.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" data-section-action="remove" class="px-2 border rounded-md text-sm bg-white text-red-500">削除</button>`,
+        };
+    }
+
+    /**
+     * 写真リストを更新する。内容の変わらないカードは作り直さないため、入力中の欄のフォーカスも保たれる
+     */
     function renderPhotoList() {
-        photoListContainer.innerHTML = '';
-        if (state.photos.length === 0) {
-            photoListContainer.innerHTML = '<p class="text-center text-gray-500 text-sm">写真がありません。</p>';
-            return;
+        const photoFields = window.ReportTemplate.getPhotoInputFields(state.template);
+        const items = [];
+        if (state.photos.length === 0 && state.sections.length === 0) {
+            items.push({ key: 'empty', tag: 'p', className: 'text-center text-gray-500 text-sm', html: '写真がありません。' });
         }
-        state.photos.forEach((photo) => {
-            const div = document.createElement('div');
-            div.className = 'p-3 bg-slate-50 border rounded-lg shadow-sm draggable';
-            div.dataset.id = photo.id;
-            div.draggable = true;
-            div.innerHTML = `
-                <div class="flex items-start gap-3">
-                    <img src="${photo.url}" class="w-16 h-16 object-cover rounded-md flex-shrink-0" draggable="false">
-                    <div class="flex-1 space-y-2">
-                        <input type="text" data-id="${photo.id}" data-field="location" value="${photo.location}" placeholder="場所" class="w-full text-sm p-1 rounded-md input-highlight">
-                        <textarea data-id="${photo.id}" data-field="comment" rows="2" placeholder="コメント" class="w-full text-sm p-1 rounded-md input-highlight">${photo.comment}</textarea>
+        getPhotoGroups(true).forEach(group => {
+            if (state.sections.length > 0) {
+                items.push(getSectionHeaderItem(group.section, group.photos.length, state.sections.indexOf(group.section)));
+            }
+            if (group.photos.length === 0) {
+                items.push({
+                    key: `empty:${group.section ? group.section.id : ''}`,
+                    tag: 'p',
+                    className: 'text-center text-gray-500 text-xs',
+                    html: '写真をここにドラッグするか、各写真のセクション欄で選択してください。',
+                });
+            }
+            group.photos.forEach(photo => items.push(getPhotoCardItem(photo, photoFields)));
+        });
+        updateChildren(photoListContainer, items, photoListItems, observeThumbnails);
+        renderBulkToolbar(photoFields);
+        pruneImageCache();
+    }
+
+    function getPhotoCardItem(photo, photoFields = window.ReportTemplate.getPhotoInputFields(state.template)) {
+        const sectionOptions = [{ id: '', name: '未分類' }, ...state.sections].map(section =>
+            `<option value="${section.id}" ${section.id === (photo.sectionId || '') ? 'selected' : ''}>${escapeHtml(section.name || '(名前なし)')}</option>`
+        ).join('');
+        // 先頭・末尾の写真でも、前後にセクションがあればそこへ移動できる
+        const index = state.photos.indexOf(photo);
+        const sectionIndex = state.sections.findIndex(section => section.id === photo.sectionId);
+        const canMoveUp = index > 0 || sectionIndex > 0;
+        const canMoveDown = index < state.photos.length - 1 || sectionIndex < state.sections.length - 1;
+        const comparisonGroup = photo.comparison ? window.PhotoComparison.getGroupOf(state.photos, photo) : [];
+        const comparisonHTML = photo.comparison ? `
+                    <div class="flex items-center gap-2">
+                        <span class="comparison-badge text-xs" title="比較写真の組(${comparisonGroup.length}枚中${comparisonGroup.indexOf(photo) + 1}枚目)">比較 ${comparisonGroup.indexOf(photo) + 1}/${comparisonGroup.length}</span>
+                        <input type="text" data-id="${photo.id}" data-comparison-stage list="comparison-stage-options" value="${escapeHtml(photo.comparison.stage)}" placeholder="段階（施工前など）" class="flex-1 text-sm p-1 rounded-md input-highlight" aria-label="段階">
+                    </div>` : '';
+        return {
+            key: `photo:${photo.id}`,
+            className: 'p-3 bg-slate-50 border rounded-lg shadow-sm draggable',
+            attributes: { 'data-id': photo.id, draggable: 'true' },
+            html: `
+            <div class="flex items-start gap-3">
+                <input type="checkbox" data-select-photo="${photo.id}" class="h-4 w-4 flex-shrink-0" title="選択 (Shift+クリックで範囲選択)">
+                ${getMoveHandleHTML(photo, 'drag-handle flex-shrink-0')}
+                <img data-thumbnail="${window.ImageCache.getImageKey(getDisplayImage(photo).url)}" class="w-16 h-16 object-cover rounded-md flex-shrink-0 bg-gray-100" draggable="false" alt="">
+                <div class="flex-1 space-y-2">
+                    ${photoFields.map(field => window.ReportTemplate.renderInput(field, window.ReportTemplate.getPhotoValue(photo, field),
+                        `data-id="${photo.id}" data-field="${escapeHtml(field.id)}"`, 'w-full text-sm p-1 rounded-md input-highlight')).join('')}
+                    ${comparisonHTML}
+                    ${state.sections.length > 0 ? `<select data-id="${photo.id}" data-section-select class="w-full text-sm rounded-md input-highlight">${sectionOptions}</select>` : ''}
+                    <div class="flex flex-wrap gap-3">
+                        <button data-id="${photo.id}" class="edit-photo-btn text-xs text-indigo-600">回転・切り抜き${isPhotoEdited(photo) ? ' (編集済)' : ''}</button>
+                        <button data-id="${photo.id}" class="retouch-btn text-xs text-indigo-600">補正・マスキング${getRetouchLabel(photo)}</button>
+                        <button data-id="${photo.id}" class="annotate-btn text-xs text-indigo-600">書き込み${photo.annotations && photo.annotations.length ? ` (${photo.annotations.length})` : ''}</button>
+                        <button data-id="${photo.id}" class="blackboard-btn text-xs text-indigo-600">小黒板${photo.blackboard && photo.blackboard.enabled ? ' (表示中)' : ''}</button>
+                        <label class="flex items-center gap-1 text-xs text-red-600"><input type="checkbox" data-id="${photo.id}" data-needs-redaction ${photo.needsRedaction ? 'checked' : ''}> 要マスキング</label>
                     </div>
-                    <button data-id="${photo.id}" class="remove-btn text-red-500 hover:text-red-700 font-bold text-xl flex-shrink-0">×</button>
-                </div>`;
-            photoListContainer.appendChild(div);
+                </div>
+                <div class="flex flex-col items-center gap-1 flex-shrink-0">
+                    <button data-id="${photo.id}" class="remove-btn text-red-500 hover:text-red-700 font-bold text-xl">×</button>
+                    <button type="button" data-id="${photo.id}" data-move="up" class="px-2 border rounded-md text-sm bg-white" aria-label="1つ上へ移動" ${canMoveUp ? '' : 'disabled'}>↑</button>
+                    <button type="button" data-id="${photo.id}" data-move="down" class="px-2 border rounded-md text-sm bg-white" aria-label="1つ下へ移動" ${canMoveDown ? '' : 'disabled'}>↓</button>
+                </div>
+            </div>`,
+        };
+    }
+
+    /**
+     * 並び替え用のハンドル(指でのドラッグ・キーボード操作の対象)
+     */
+    function getMoveHandleHTML(photo, className) {
+        return `<button type="button" data-move-handle="${photo.id}" class="${className}" aria-label="写真を移動" title="ドラッグで移動（キーボード: Alt+↑↓で1つずつ、Alt+PageUp/PageDownでページ単位）">⠿</button>`;
+    }
+
+    /**
+     * 入力欄で直接書き換えた内容を、写真リストの項目の記録に反映する
+     * (次の再描画で入力中のカードが作り直されないようにする)
+     */
+    function markPhotoListItemCurrent(item) {
+        const entry = photoListItems.get(item.key);
+        if (entry) entry.html = item.html;
+    }
+
+    /**
+     * container の子要素を items の順に並べる
+     * 同じ key の要素は再利用し、html が変わった要素だけ中身を書き換える
+     * items: [{ key, tag, className, attributes, html }] / entries: key → { element, html } の記録
+     * onUpdate(element): 中身を書き換えた要素ごとに呼ばれる
+     */
+    function updateChildren(container, items, entries, onUpdate = () => {}) {
+        const keys = new Set(items.map(item => item.key));
+        entries.forEach((entry, key) => {
+            if (!keys.has(key)) {
+                entry.element.remove();
+                entries.delete(key);
+            }
+        });
+        Array.from(container.children).forEach(child => {
+            if (!entries.has(child.dataset.itemKey)) child.remove();
+        });
+        let next = container.firstElementChild;
+        items.forEach(item => {
+            let entry = entries.get(item.key);
+            if (!entry) {
+                const element = document.createElement(item.tag || 'div');
+                element.className = item.className;
+                element.dataset.itemKey = item.key;
+                Object.entries(item.attributes || {}).forEach(([name, value]) => element.setAttribute(name, value));
+                entry = { element, html: null };
+                entries.set(item.key, entry);
+            }
+            if (entry.html !== item.html) {
+                entry.element.innerHTML = item.html;
+                entry.html = item.html;
+                onUpdate(entry.element);
+            }
+            // 並び順が変わった要素だけ移動する(移動するとフォーカスが外れるため)
+            if (entry.element === next) {
+                next = next.nextElementSibling;
+            } else {
+                container.insertBefore(entry.element, next);
+            }
+        });
+    }
+
+    /**
+     * 写真リストの縮小画像を、画面に近づいたときに作成して表示する
+     */
+    const thumbnailObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                thumbnailObserver.unobserve(entry.target);
+                loadThumbnail(entry.target);
+            });
+        }, { rootMargin: '300px 0px' })
+        : null;
+
+    function observeThumbnails(element) {
+        element.querySelectorAll('img[data-thumbnail]').forEach(img => {
+            if (thumbnailObserver) thumbnailObserver.observe(img);
+            else loadThumbnail(img);
+        });
+    }
+
+    function loadThumbnail(img) {
+        const key = img.dataset.thumbnail;
+        window.ImageCache.getThumbnailUrl(key).then(url => {
+            if (img.dataset.thumbnail === key) img.src = url;
+        });
+    }
+
+    /**
+     * 現在の写真で使われていない画像のキャッシュを破棄する
+     */
+    function pruneImageCache() {
+        window.ImageCache.prune(state.photos.flatMap(photo => [photo.url, photo.retouchedUrl, photo.editedUrl]).filter(Boolean));
+    }
+
+    // --- 写真の並び替え ---
+
+    function getListDropTarget(element) {
+        return element.closest('.section-header') || element.closest('.draggable');
+    }
+
+    function clearDropIndicators() {
+        document.querySelectorAll('.drag-over-top, .drag-over-bottom, .preview-drag-over').forEach(el => {
+            el.classList.remove('drag-over-top', 'drag-over-bottom', 'preview-drag-over');
+        });
+    }
+
+    /**
+     * 写真リストのドロップ先(写真カードの上側・下側、またはセクション見出し)を表示する
+     */
+    function showListDropIndicator(target, clientY) {
+        clearDropIndicators();
+        if (!target) return;
+        if (target.classList.contains('section-header')) {
+            target.classList.add('drag-over-bottom');
+            return;
+        }
+        const rect = target.getBoundingClientRect();
+        const isOverTopHalf = clientY < rect.top + rect.height / 2;
+        target.classList.toggle('drag-over-top', isOverTopHalf);
+        target.classList.toggle('drag-over-bottom', !isOverTopHalf);
+    }
+
+    /**
+     * 写真リストで写真をドロップする
+     * 写真カードへのドロップはその前後に、セクション見出しへのドロップはそのセクションの末尾に移す
+     * 選択中の写真をドラッグした場合は、選択中の写真をまとめて移す
+     */
+    function dropPhotoInList(draggedId, target, clientY) {
+        const draggedPhotos = window.PhotoComparison.expandToGroups(state.photos, selectedPhotoIds.has(draggedId)
+            ? getSelectedPhotos()
+            : state.photos.filter(p => p.id === draggedId));
+        if (draggedPhotos.length === 0) return;
+        if (target.classList.contains('section-header')) {
+            movePhotos(draggedPhotos, state.photos.length, target.dataset.sectionId || null);
+        } else {
+            // 並び替え先の写真と同じセクションに移す
+            const dropTargetPhoto = state.photos.find(p => p.id === parseFloat(target.dataset.id));
+            if (!dropTargetPhoto || draggedPhotos.includes(dropTargetPhoto)) return;
+            const rest = state.photos.filter(p => !draggedPhotos.includes(p));
+            const dropTargetIndex = rest.indexOf(dropTargetPhoto);
+            const rect = target.getBoundingClientRect();
+            const isOverTopHalf = clientY < rect.top + rect.height / 2;
+            movePhotos(draggedPhotos, isOverTopHalf ? dropTargetIndex : dropTargetIndex + 1, dropTargetPhoto.sectionId ?? null);
+        }
+        render();
+        notifyStateChange('写真の並び替え');
+    }
+
+    /**
+     * プレビューで2枚の写真を入れ替える
+     * 比較写真の組に入っている写真は、組の中での入れ替えでなければ組ごと移動先の写真の位置に移す
+     */
+    function swapPreviewPhotos(draggedId, targetId) {
+        const draggedIndex = state.photos.findIndex(p => p.id === draggedId);
+        const dropIndex = state.photos.findIndex(p => p.id === targetId);
+        if (draggedIndex === -1 || dropIndex === -1 || draggedIndex === dropIndex) return;
+        const draggedGroup = window.PhotoComparison.getGroupOf(state.photos, state.photos[draggedIndex]);
+        const targetGroup = window.PhotoComparison.getGroupOf(state.photos, state.photos[dropIndex]);
+        if ((draggedGroup.length > 1 || targetGroup.length > 1) && !draggedGroup.includes(state.photos[dropIndex])) {
+            const target = targetGroup[0];
+            const rest = state.photos.filter(p => !draggedGroup.includes(p));
+            // 後ろへ移すときは移動先の組の後ろに入れる
+            const index = draggedIndex < dropIndex ? rest.indexOf(targetGroup[targetGroup.length - 1]) + 1 : rest.indexOf(target);
+            movePhotos(draggedGroup, index, target.sectionId ?? null);
+            render();
+            notifyStateChange('写真の並び替え');
+            showUndoToast(`No.${draggedIndex + 1} の写真の組を移動しました。`);
+            return;
+        }
+        const temp = state.photos[draggedIndex];
+        state.photos[draggedIndex] = state.photos[dropIndex];
+        state.photos[dropIndex] = temp;
+        // 入れ替えた位置のセクションに所属を合わせる
+        [temp.sectionId, state.photos[draggedIndex].sectionId] = [state.photos[draggedIndex].sectionId ?? null, temp.sectionId ?? null];
+        render();
+        notifyStateChange('写真の入れ替え');
+        showUndoToast(`No.${draggedIndex + 1} と No.${dropIndex + 1} の写真を入れ替えました。`);
+    }
+
+    /**
+     * 写真を1つ前(direction = -1)または後ろ(1)へ移す
+     * セクションの先頭・末尾では、隣のセクションの末尾・先頭に移す
+     * 比較写真の組は組ごと、隣の写真(組)を飛び越えて移す
+     */
+    function movePhotoByStep(photo, direction) {
+        const groups = getPhotoGroups(true);
+        const groupIndex = groups.findIndex(group => group.photos.includes(photo));
+        const group = groups[groupIndex];
+        const unit = window.PhotoComparison.getGroupOf(state.photos, photo);
+        const edge = direction < 0 ? unit[0] : unit[unit.length - 1];
+        const neighbor = group.photos[group.photos.indexOf(edge) + direction];
+        if (neighbor) {
+            const neighborUnit = window.PhotoComparison.getGroupOf(state.photos, neighbor);
+            const rest = state.photos.filter(p => !unit.includes(p));
+            movePhotos(unit, direction < 0 ? rest.indexOf(neighborUnit[0]) : rest.indexOf(neighborUnit[neighborUnit.length - 1]) + 1);
+            return true;
+        }
+        const nextGroup = groups[groupIndex + direction];
+        if (!nextGroup) return false;
+        movePhotos(unit, direction < 0 ? state.photos.length : 0, nextGroup.section ? nextGroup.section.id : null);
+        return true;
+    }
+
+    /**
+     * 写真を前のページ(direction = -1)または次のページ(1)の先頭へ移す
+     */
+    function movePhotoToPage(photo, direction) {
+        const photoPages = buildPages().filter(page => page.type === 'photos');
+        const pageIndex = photoPages.findIndex(page => page.photos.includes(photo));
+        const targetPage = photoPages[pageIndex + direction];
+        if (!targetPage) return false;
+        const unit = window.PhotoComparison.getGroupOf(state.photos, photo);
+        const rest = state.photos.filter(p => !unit.includes(p));
+        const first = targetPage.photos[0];
+        // 次のページが同じセクションの続きなら、この写真(組)が抜けた分だけページの区切りがずれる
+        // (比較レイアウトのページは組単位で区切るため、次のページの先頭の組が1つ繰り上がる)
+        let shift = 0;
+        if (direction > 0 && targetPage.continued && !first.pageLayout) {
+            shift = photoPages[pageIndex].layout.comparison
+                ? window.PhotoComparison.getGroupOf(state.photos, first).length
+                : unit.length;
+        }
+        movePhotos(unit, rest.indexOf(first) + shift, first.sectionId ?? null);
+        return true;
+    }
+
+    /**
+     * キーボード・ボタンでの並び替え
+     * command: up / down / page-up / page-down。移動後は同じ操作欄にフォーカスを戻し、結果を読み上げる
+     */
+    function movePhotoByCommand(photoId, command, container, focusSelector) {
+        const photo = state.photos.find(p => p.id === photoId);
+        if (!photo) return;
+        const fromNumber = state.photos.indexOf(photo) + 1;
+        const moved = command === 'up' || command === 'down'
+            ? movePhotoByStep(photo, command === 'up' ? -1 : 1)
+            : movePhotoToPage(photo, command === 'page-up' ? -1 : 1);
+        if (!moved) {
+            announce(`No.${fromNumber} の写真はこれ以上移動できません。`);
+            return;
+        }
+        render();
+        notifyStateChange('写真の並び替え');
+        const toNumber = state.photos.indexOf(photo) + 1;
+        const section = state.sections.find(s => s.id === photo.sectionId);
+        announce(`No.${fromNumber} の写真を No.${toNumber}（${getPhotoPageNumbers().get(photo.id)}ページ目${section ? `・${section.name}` : ''}）に移動しました。`);
+        const target = container.querySelector(`${focusSelector}:not([disabled])`) || container.querySelector(`[data-move-handle="${photo.id}"]`);
+        if (target) {
+            target.focus();
+            target.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * スクリーンリーダーに操作結果を読み上げさせる
+     */
+    function announce(message) {
+        reorderAnnouncer.textContent = '';
+        setTimeout(() => { reorderAnnouncer.textContent = message; }, 50);
+    }
+
+    // --- 写真の選択・一括操作 ---
+
+    /**
+     * 一括操作欄を更新する。削除などで存在しなくなった写真は選択から外す
+     */
+    function renderBulkToolbar(photoFields) {
+        const photoIds = new Set(state.photos.map(photo => photo.id));
+        selectedPhotoIds.forEach(id => {
+            if (!photoIds.has(id)) selectedPhotoIds.delete(id);
+        });
+        const currentField = bulkFieldSelect.value;
+        bulkFieldSelect.innerHTML = photoFields.map(field => `<option value="${escapeHtml(field.id)}">${escapeHtml(field.label)}</option>`).join('');
+        if (photoFields.some(field => field.id === currentField)) bulkFieldSelect.value = currentField;
+        photoBulkToolbar.classList.toggle('hidden', state.photos.length === 0);
+        updateSelectionDisplay();
+    }
+
+    function updateSelectionDisplay() {
+        const count = selectedPhotoIds.size;
+        photoSelectionCount.textContent = count > 0 ? `${count}枚を選択中` : '';
+        selectAllPhotosCheckbox.checked = count > 0 && count === state.photos.length;
+        selectAllPhotosCheckbox.indeterminate = count > 0 && count < state.photos.length;
+        photoBulkActions.classList.toggle('hidden', count === 0);
+        bulkMovePositionInput.max = state.photos.length;
+        photoListContainer.querySelectorAll('.draggable').forEach(card => {
+            const selected = selectedPhotoIds.has(parseFloat(card.dataset.id));
+            card.classList.toggle('is-selected', selected);
+            card.querySelector('[data-select-photo]').checked = selected;
         });
     }
 
+    /**
+     * 写真の選択を切り替える。range が true なら直前に選択した写真からの範囲をまとめて切り替える
+     */
+    function setPhotoSelected(photoId, selected, range = false) {
+        const ids = [photoId];
+        if (range && lastSelectedPhotoId !== null) {
+            const from = state.photos.findIndex(p => p.id === lastSelectedPhotoId);
+            const to = state.photos.findIndex(p => p.id === photoId);
+            if (from !== -1 && to !== -1) {
+                ids.push(...state.photos.slice(Math.min(from, to), Math.max(from, to) + 1).map(p => p.id));
+            }
+        }
+        ids.forEach(id => (selected ? selectedPhotoIds.add(id) : selectedPhotoIds.delete(id)));
+        lastSelectedPhotoId = photoId;
+        updateSelectionDisplay();
+    }
+
+    function getSelectedPhotos() {
+        return state.photos.filter(photo => selectedPhotoIds.has(photo.id));
+    }
+
+    /**
+     * 写真をまとめて、移動する写真を除いた並びの index の位置に移す
+     * sectionId を指定した場合は移動先のセクションに変更する
+     * 比較写真の組に入っている写真は、組の写真をすべて一緒に移す
+     */
+    function movePhotos(photos, index, sectionId) {
+        photos = window.PhotoComparison.expandToGroups(state.photos, photos);
+        const rest = state.photos.filter(photo => !photos.includes(photo));
+        if (sectionId !== undefined) photos.forEach(photo => { photo.sectionId = sectionId; });
+        rest.splice(Math.max(0, Math.min(index, rest.length)), 0, ...photos);
+        state.photos = rest;
+        sortPhotosBySection();
+    }
+
+    /**
+     * 写真を削除する(1枚だけになった比較写真の組は解消する)
+     */
+    function deletePhotos(photos) {
+        state.photos = state.photos.filter(photo => !photos.includes(photo));
+        sortPhotosBySection();
+    }
+
+    /**
+     * 選択中の写真に一括操作を行う
+     */
+    function applyBulkAction(action) {
+        const selectedPhotos = getSelectedPhotos();
+        if (selectedPhotos.length === 0) return;
+        // 並び替えでは比較写真の組をまとめて移す
+        const photos = ['top', 'bottom', 'position'].includes(action)
+            ? window.PhotoComparison.expandToGroups(state.photos, selectedPhotos)
+            : selectedPhotos;
+        switch (action) {
+            case 'top':
+                movePhotos(photos, 0);
+                break;
+            case 'bottom':
+                movePhotos(photos, state.photos.length);
+                break;
+            case 'position': {
+                const position = parseInt(bulkMovePositionInput.value, 10);
+                if (!(position >= 1)) {
+                    alert('移動先の番号を入力してください。');
+                    return;
+                }
+                // 移動先の位置にある写真と同じセクションに入れる
+                const rest = state.photos.filter(photo => !photos.includes(photo));
+                const neighbor = rest[position - 1] || rest[rest.length - 1];
+                movePhotos(photos, position - 1, neighbor ? neighbor.sectionId ?? null : undefined);
+                break;
+            }
+            case 'delete':
+                deletePhotos(photos);
+                break;
+            case 'field': {
+                const field = state.template.fields.find(f => f.id === bulkFieldSelect.value);
+                if (!field) return;
+                photos.forEach(photo => window.ReportTemplate.setPhotoValue(photo, field, bulkFieldValueInput.value));
+                break;
+            }
+            case 'display-mode':
+                photos.forEach(photo => { photo.displayMode = bulkDisplayModeSelect.value || null; });
+                break;
+            case 'link': {
+                const { MIN_GROUP_SIZE, MAX_GROUP_SIZE } = window.PhotoComparison;
+                if (photos.length < MIN_GROUP_SIZE || photos.length > MAX_GROUP_SIZE) {
+                    alert(`比較写真の組にできるのは${MIN_GROUP_SIZE}〜${MAX_GROUP_SIZE}枚です。`);
+                    return;
+                }
+                window.PhotoComparison.link(photos);
+                // 選択した写真が離れていれば、最初の写真の位置にまとめる
+                sortPhotosBySection();
+                break;
+            }
+            case 'unlink':
+                window.PhotoComparison.unlink(photos);
+                sortPhotosBySection();
+                break;
+            case 'retouch':
+                // 先頭の写真で補正を確かめ、保存すると選択中の写真すべてに適用する
+                openRetouchEditor(photos[0], photos);
+                return;
+            case 'mark-redaction':
+                photos.forEach(photo => { photo.needsRedaction = true; });
+                break;
+            case 'unmark-redaction':
+                photos.forEach(photo => { delete photo.needsRedaction; });
+                break;
+            default:
+                return;
+        }
+        render();
+        const labels = { top: '写真の移動', bottom: '写真の移動', position: '写真の移動', delete: '写真の一括削除', field: '写真の項目の一括入力', 'display-mode': '表示方法の一括変更', link: '比較写真の組の作成', unlink: '比較写真の組の解除',
+            'mark-redaction': '要マスキングの設定', 'unmark-redaction': '要マスキングの解除' };
+        notifyStateChange(labels[action]);
+        if (action === 'delete') showUndoToast(`${photos.length}枚の写真を削除しました。`);
+    }
+
+    /**
+     * 文字列を昇順に比べる。値のない写真は後ろに並べる
+     */
+    function compareOptional(a, b) {
+        if (!a && !b) return 0;
+        if (!a) return 1;
+        if (!b) return -1;
+        return String(a).localeCompare(String(b), 'ja', { numeric: true });
+    }
+
+    const PHOTO_SORT_ORDERS = {
+        takenAt: { label: '撮影日時順', compare: (a, b) => compareOptional(a.takenAt, b.takenAt) },
+        originalName: { label: 'ファイル名順', compare: (a, b) => compareOptional(a.originalName, b.originalName) },
+        importOrder: { label: '取り込み順', compare: (a, b) => (a.importOrder || 0) - (b.importOrder || 0) },
+    };
+
+    /**
+     * 写真をセクションごとに並べ替える
+     */
+    function sortPhotos(order) {
+        const sortOrder = PHOTO_SORT_ORDERS[order];
+        if (!sortOrder) return;
+        state.photos = [...state.photos].sort(sortOrder.compare);
+        sortPhotosBySection();
+        render();
+        notifyStateChange(`${sortOrder.label}に並べ替え`);
+    }
+
+    /**
+     * 取り込み順の番号を count 個分採番し、最初の番号を返す(読み込み中の写真とも重ならないようにする)
+     */
+    function allocateImportOrders(count) {
+        const first = state.photos.reduce((max, photo) => Math.max(max, photo.importOrder || 0), lastImportOrder) + 1;
+        lastImportOrder = first + count - 1;
+        return first;
+    }
+
+    /**
+     * 写真をセクションごとにまとめる(セクションに属さない写真は先頭のグループ)
+     * includeEmpty: 写真のないセクションも含めるかどうか
+     */
+    function getPhotoGroups(includeEmpty = false) {
+        const sectionIds = new Set(state.sections.map(section => section.id));
+        const groups = [];
+        const unsectioned = state.photos.filter(photo => !sectionIds.has(photo.sectionId));
+        if (unsectioned.length > 0) groups.push({ section: null, photos: unsectioned });
+        state.sections.forEach(section => {
+            const photos = state.photos.filter(photo => photo.sectionId === section.id);
+            if (photos.length > 0 || includeEmpty) groups.push({ section, photos });
+        });
+        return groups;
+    }
+
+    /**
+     * 写真の並び順をセクション順にそろえる(セクション内の順番は保つ)
+     * 比較写真の組は、組の最初の写真の位置に連続して並べる
+     */
+    function sortPhotosBySection() {
+        state.photos = window.PhotoComparison.normalize(getPhotoGroups().flatMap(group => group.photos));
+    }
+
+    /**
+     * 印刷するページの一覧を作成する
+     * 表紙・目次のあと、セクションごとに新しいページから写真を並べる
+     * ページごとのレイアウト指定(pageLayout)を持つ写真は、そのレイアウトで新しいページを始める
+     * 比較レイアウトのページは比較写真の組単位で区切り、組の写真を同じページに並べる(cells がマス目の並び)
+     */
+    function buildPages() {
+        const pages = [];
+        if (state.coverPage) pages.push({ type: 'cover' });
+        if (state.tableOfContents) pages.push({ type: 'toc' });
+        getPhotoGroups().forEach(group => {
+            const unitOf = new Map();
+            window.PhotoComparison.getUnits(group.photos).forEach(unit => unit.forEach(photo => unitOf.set(photo, unit)));
+            const canContinue = index => index < group.photos.length && !group.photos[index].pageLayout;
+            let index = 0;
+            while (index < group.photos.length) {
+                const firstPhoto = group.photos[index];
+                const continued = firstPhoto !== group.photos[0];
+                const layout = window.PageLayout.resolveLayout(state.layout, state.orientation, firstPhoto.pageLayout);
+                if (layout.comparison) {
+                    const units = [];
+                    do {
+                        // 前のページ(比較レイアウト以外)で組の途中まで並べた場合は、残りの写真を1組とする
+                        const unit = unitOf.get(group.photos[index]);
+                        const remaining = unit.slice(unit.indexOf(group.photos[index]));
+                        units.push(remaining);
+                        index += remaining.length;
+                    } while (units.length < layout.perPage && canContinue(index));
+                    const arranged = window.PageLayout.arrangeComparison(layout, units);
+                    pages.push({ type: 'photos', section: group.section, photos: units.flat(), cells: arranged.cells, layout: arranged.layout, continued });
+                    continue;
+                }
+                const photos = [firstPhoto];
+                index++;
+                while (photos.length < layout.perPage && canContinue(index)) {
+                    photos.push(group.photos[index]);
+                    index++;
+                }
+                pages.push({ type: 'photos', section: group.section, photos, layout, continued });
+            }
+        });
+        return pages;
+    }
+
+    // 表示領域の上下1画面分にあるページだけ中身を作る
+    const pageObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver(entries => {
+            entries.forEach(observed => {
+                const entry = previewPagesByElement.get(observed.target);
+                if (!entry) return;
+                entry.isNearViewport = observed.isIntersecting;
+                updatePageContent(entry);
+            });
+        }, { root: previewPanel, rootMargin: '100% 0px' })
+        : null;
+
+    /**
+     * プレビューを更新する
+     * ページごとのHTMLを前回と比べ、変わったページだけを書き換える。画面から離れたページは中身を作らない
+     */
     function renderPreview() {
-        previewContainer.innerHTML = '';
         if (state.photos.length === 0) {
+            if (pageObserver) previewPages.forEach(entry => pageObserver.unobserve(entry.element));
+            previewPages.length = 0;
             previewContainer.innerHTML = '<div class="flex items-center justify-center h-full"><p class="text-gray-500 text-2xl">プレビューはありません</p></div>';
             return;
         }
-        const orientationClass = state.orientation === 'portrait' ? 'a4-portrait' : 'a4-landscape';
-        const chunks = chunkArray(state.photos, state.photosPerPage);
-        chunks.forEach((chunk) => {
-            const pageWrapper = document.createElement('div');
-            pageWrapper.className = `a4-page-container bg-white p-6 shadow-lg border ${orientationClass}`;
-            pageWrapper.style.fontFamily = state.fontFamily;
-            pageWrapper.style.fontSize = `${state.fontSize}pt`;
-            pageWrapper.style.fontWeight = state.fontWeight;
-            const gridLayout = getGridLayout(state.photosPerPage, state.orientation);
-            const warekiDate = toWareki(state.date);
-            const siteNameHTML = `<div>現場名: ${state.siteName || 'N/A'}</div>`;
-            const personNameHTML = `<div>担当者: ${state.personName || 'N/A'}</div>`;
-            const dateHTML = `<div>日時: ${warekiDate || 'N/A'}</div>`;
-            const photoCellsHTML = chunk.map(photo => {
-                const locationHTML = photo.location ? `<p><strong>場所:</strong> ${photo.location}</p>` : '';
-                const commentHTML = photo.comment ? `<p class="pre-wrap-break"><strong>コメント:</strong> ${photo.comment}</p>` : '';
-                const imageContainerClass = state.imageDisplayMode === 'trim' ? 'overflow-hidden' : '';
-                const imageClass = state.imageDisplayMode === 'trim' ? 'max-w-full max-h-full object-contain' : 'w-full h-full object-contain';
-                
-                return `<div class="preview-photo-cell border border-gray-300 p-2 flex flex-col h-full" draggable="true" data-photo-id="${photo.id}">
-                    <div class="mb-1 flex-shrink-0">${locationHTML}${commentHTML}</div>
-                    <div class="bg-gray-100 flex items-center justify-center ${imageContainerClass} min-h-0 flex-grow photo-area">
-                        <img src="${photo.url}" class="${imageClass}" draggable="false">
-                    </div>
-                </div>`;
+        if (previewPages.length === 0) previewContainer.innerHTML = '';
+
+        const pageStyle = window.PageSetup.getPageStyle(state.pageSetup, state.orientation);
+        updatePageRule();
+        const pages = buildPages();
+        // ページ数の増減に合わせて、ページの枠を追加・削除する
+        while (previewPages.length > pages.length) {
+            const removed = previewPages.pop();
+            if (pageObserver) pageObserver.unobserve(removed.element);
+            removed.element.remove();
+        }
+        while (previewPages.length < pages.length) {
+            const element = document.createElement('div');
+            const entry = { element, html: null, renderedHtml: null, isNearViewport: !pageObserver };
+            previewPagesByElement.set(element, entry);
+            previewPages.push(entry);
+            previewContainer.appendChild(element);
+            if (pageObserver) pageObserver.observe(element);
+        }
+
+        pages.forEach((page, index) => {
+            const entry = previewPages[index];
+            const { element } = entry;
+            element.className = 'a4-page-container bg-white shadow-lg border';
+            Object.assign(element.style, pageStyle);
+            element.style.fontFamily = state.fontFamily;
+            element.style.fontSize = `${state.fontSize}pt`;
+            element.style.fontWeight = state.fontWeight;
+            entry.html = getPageHTML(page, index, pages);
+            updatePageContent(entry);
+        });
+    }
+
+    let pageRuleStyle = null;
+
+    /**
+     * 印刷時の用紙サイズを選択中のページ設定に合わせる
+     */
+    function updatePageRule() {
+        if (!pageRuleStyle) {
+            pageRuleStyle = document.createElement('style');
+            document.head.appendChild(pageRuleStyle);
+        }
+        const rule = window.PageSetup.getPageRule(state.pageSetup, state.orientation);
+        if (pageRuleStyle.textContent !== rule) pageRuleStyle.textContent = rule;
+    }
+
+    function getPageHTML(page, index, pages) {
+        const footerHTML = getFooterHTML(index + 1, pages.length);
+        if (page.type === 'cover') {
+            return `${getCoverPageHTML()}${footerHTML}`;
+        }
+        if (page.type === 'toc') {
+            return `${getPageHeaderHTML()}${getTableOfContentsHTML(pages)}${footerHTML}`;
+        }
+        const sectionHeadingHTML = page.section
+            ? `<div class="section-heading font-bold text-lg mb-2 flex-shrink-0">${escapeHtml(page.section.name)}${page.continued ? '<span class="text-sm font-medium">（続き）</span>' : ''}</div>`
+            : '';
+        return `
+                    ${getPageLayoutControlHTML(page)}
+                    ${getPageHeaderHTML()}
+                    ${sectionHeadingHTML}
+                    <main class="grid gap-4 flex-grow min-h-0" style="${window.PageLayout.getGridStyle(page.layout)}">${(page.cells || page.photos).map(photo => (photo
+                        ? getPhotoCellHTML(photo, page.layout.captionPosition)
+                        : '<div></div>')).join('')}</main>
+                    ${footerHTML}`;
+    }
+
+    /**
+     * ページの中身を表示状態に合わせる
+     * 画面の近くにあるページ(印刷・PDF出力中はすべてのページ)は最新のHTMLにし、離れたページは中身を破棄してメモリを空ける
+     */
+    function updatePageContent(entry) {
+        if (entry.isNearViewport || isOutputInProgress) {
+            if (entry.renderedHtml === entry.html) return;
+            entry.element.innerHTML = entry.html;
+            entry.element.querySelectorAll('img[data-image]').forEach(img => {
+                img.src = window.ImageCache.getImageUrl(img.dataset.image);
+            });
+            entry.renderedHtml = entry.html;
+        } else if (entry.renderedHtml !== null) {
+            entry.element.innerHTML = '';
+            entry.renderedHtml = null;
+        }
+    }
+
+    /**
+     * 印刷・PDF出力の前に、すべてのページの中身を作成する
+     */
+    function setOutputInProgress(inProgress) {
+        isOutputInProgress = inProgress;
+        previewPages.forEach(updatePageContent);
+    }
+
+    function getPageHeaderHTML() {
+        return `<header class="flex justify-between items-end border-b-2 border-black pb-2 mb-4 flex-shrink-0">
+                    <div class="font-bold text-lg">${getHeaderFieldsHTML('header-left')}</div>
+                    <div class="text-right text-sm flex-shrink-0">${getHeaderFieldsHTML('header-right')}</div>
+                </header>`;
+    }
+
+    /**
+     * ページごとのレイアウト切り替え欄(印刷・PDFには出力しない)
+     */
+    function getPageLayoutControlHTML(page) {
+        const firstPhoto = page.photos[0];
+        const overrideId = firstPhoto.pageLayout ? firstPhoto.pageLayout.id : '';
+        const defaultLabel = window.PageLayout.resolveLayout(state.layout, state.orientation).label;
+        const options = [{ id: '', label: `既定（${defaultLabel}）` }, ...window.PageLayout.getPresetOptions({ includeCustom: false })]
+            .map(option => `<option value="${option.id}" ${option.id === overrideId ? 'selected' : ''}>${option.label}</option>`)
+            .join('');
+        return `<div class="page-layout-control no-print"><select data-page-layout="${firstPhoto.id}" title="このページのレイアウト" class="text-xs rounded-md input-highlight">${options}</select></div>`;
+    }
+
+    /**
+     * 写真セルのHTMLを生成する
+     * captionPosition: top(写真の上) / bottom(写真の下) / side(右側に説明表)
+     */
+    function getPhotoCellHTML(photo, captionPosition = 'top') {
+        const image = getDisplayImage(photo);
+        const displayMode = photo.displayMode || state.imageDisplayMode;
+        const edit = photo.edit || {};
+        // 写真枠(photo-frame)の大きさと位置はCSSで縦横比と焦点から計算する
+        const frameStyle = `--ar: ${image.width && image.height ? image.width / image.height : 4 / 3}; --fx: ${edit.focalX ?? 0.5}; --fy: ${edit.focalY ?? 0.5};`;
+        const blackboardSVG = window.Blackboard.renderSVG(photo.blackboard, image.width, image.height, resolveBlackboardSource);
+        const annotationSVG = window.AnnotationEditor.renderSVG(photo.annotations, image.width, image.height, 'none');
+
+        const photoAreaHTML = `<div class="bg-gray-100 min-h-0 flex-grow photo-area">
+                <div class="photo-frame is-${displayMode}" style="${frameStyle}">
+                    <img data-image="${window.ImageCache.getImageKey(image.url)}" draggable="false">${blackboardSVG}${annotationSVG}
+                </div>
+                ${photo.needsRedaction ? '<span class="redaction-warning no-print" title="印刷ボタン・Ctrl+P・PDF出力では出力前に確認します。ブラウザのメニューから印刷すると確認されません">要マスキング</span>' : ''}
+            </div>`;
+
+        if (captionPosition === 'side') {
+            return `<div class="preview-photo-cell caption-side border border-gray-300 p-2 flex gap-2 h-full" draggable="true" data-photo-id="${photo.id}">
+                ${getMoveHandleHTML(photo, 'preview-drag-handle no-print')}
+                ${photoAreaHTML}
+                ${getCaptionTableHTML(photo)}
+            </div>`;
+        }
+        const stageHTML = photo.comparison && photo.comparison.stage
+            ? `<p class="comparison-stage font-bold">${escapeHtml(photo.comparison.stage)}</p>`
+            : '';
+        const captionBlockHTML = `<div class="${captionPosition === 'bottom' ? 'mt-1' : 'mb-1'} flex-shrink-0 photo-caption">${stageHTML}${getPhotoCaptionHTML(photo)}${getPhotoInfoHTML(photo)}</div>`;
+        return `<div class="preview-photo-cell border border-gray-300 p-2 flex flex-col h-full" draggable="true" data-photo-id="${photo.id}">
+            ${getMoveHandleHTML(photo, 'preview-drag-handle no-print')}
+            ${captionPosition === 'bottom' ? `${photoAreaHTML}${captionBlockHTML}` : `${captionBlockHTML}${photoAreaHTML}`}
+        </div>`;
+    }
+
+    /**
+     * 工事写真帳形式の説明表(写真番号・写真ごとの項目・撮影情報)のHTMLを生成
+     * 空欄の項目も枠として残す
+     */
+    function getCaptionTableHTML(photo) {
+        const rows = [
+            { label: 'No.', value: String(state.photos.indexOf(photo) + 1) },
+            ...(photo.comparison ? [{ label: '段階', value: photo.comparison.stage }] : []),
+            ...window.ReportTemplate.getPhotoInputFields(state.template).map(field => ({
+                label: field.label,
+                value: formatFieldValue(field, window.ReportTemplate.getPhotoValue(photo, field)),
+                multiline: field.type === 'textarea',
+            })),
+            ...getPhotoInfoRows(photo),
+        ];
+        const rowsHTML = rows.map(row => `<tr${row.multiline ? ' class="is-multiline"' : ''}><th>${escapeHtml(row.label)}</th><td${row.multiline ? ' class="pre-wrap-break"' : ''}>${escapeHtml(row.value)}</td></tr>`).join('');
+        return `<table class="caption-table flex-shrink-0"><tbody>${rowsHTML}</tbody></table>`;
+    }
+
+    /**
+     * 表紙(タイトル・共通情報・写真枚数)のHTMLを生成
+     */
+    function getCoverPageHTML() {
+        const fieldsHTML = window.ReportTemplate.getHeaderInputFields(state.template)
+            .filter(field => field.placement !== 'hidden')
+            .map(field => {
+                const value = formatFieldValue(field, window.ReportTemplate.getHeaderValue(state, field));
+                return `<div class="cover-field flex gap-4 border-b pb-2"><span class="cover-label text-gray-600">${escapeHtml(field.label)}</span><span>${escapeHtml(value)}</span></div>`;
             }).join('');
-            pageWrapper.innerHTML = `
-                <header class="flex justify-between items-end border-b-2 border-black pb-2 mb-4 flex-shrink-0">
-                    <div class="font-bold text-lg">${siteNameHTML}</div>
-                    <div class="text-right text-sm flex-shrink-0">${personNameHTML}${dateHTML}</div>
-                </header>
-                <main class="grid ${gridLayout} gap-4 flex-grow min-h-0">${photoCellsHTML}</main>`;
-            previewContainer.appendChild(pageWrapper);
+        const sectionCount = getPhotoGroups().filter(group => group.section).length;
+        return `<div class="report-cover flex flex-col justify-center flex-grow min-h-0">
+            <h1 class="cover-title font-bold text-center">${escapeHtml(state.coverTitle || '工事写真帳')}</h1>
+            <div class="cover-fields space-y-4">
+                ${fieldsHTML}
+                <div class="cover-field flex gap-4 border-b pb-2"><span class="cover-label text-gray-600">写真枚数</span><span>${state.photos.length}枚${sectionCount > 0 ? `（${sectionCount}セクション）` : ''}</span></div>
+            </div>
+        </div>`;
+    }
+
+    /**
+     * 目次(セクションと開始ページ)のHTMLを生成
+     */
+    function getTableOfContentsHTML(pages) {
+        const groups = getPhotoGroups();
+        const entries = [];
+        pages.forEach((page, index) => {
+            if (page.type !== 'photos' || page.continued) return;
+            const group = groups.find(g => g.section === page.section);
+            entries.push({ name: page.section ? page.section.name : (state.sections.length > 0 ? '未分類' : '写真'), count: group.photos.length, pageNumber: index + 1 });
         });
+        const entriesHTML = entries.map((entry, index) => `
+            <div class="toc-entry flex items-end gap-2">
+                <span>${index + 1}. ${escapeHtml(entry.name)}<span class="text-sm text-gray-600 ml-2">${entry.count}枚</span></span>
+                <span class="toc-leader flex-grow"></span>
+                <span>${entry.pageNumber}</span>
+            </div>`).join('');
+        return `<main class="flex-grow min-h-0">
+            <h2 class="text-xl font-bold text-center mb-6">目次</h2>
+            <div class="space-y-2">${entriesHTML}</div>
+        </main>`;
     }
 
     // --- ヘルパー関数 ---
@@ -168,197 +1073,1308 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
-    function debounce(func, delay = 250) {
-        let timeoutId;
-        return (...args) => {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => {
-                func.apply(this, args);
-            }, delay);
-        };
+    function debounce(func, delay = 250) {
+        let timeoutId;
+        return (...args) => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                func.apply(this, args);
+            }, delay);
+        };
+    }
+
+    const debouncedRenderPreview = debounce(() => renderPreview());
+    const debouncedCalculateAndSetOptimalZoom = debounce(calculateAndSetOptimalZoom, 150);
+
+    function updateZoom() {
+        previewContainer.style.transform = `scale(${state.zoomLevel})`;
+        previewContainer.style.transformOrigin = 'top center';
+        zoomDisplay.textContent = `${Math.round(state.zoomLevel * 100)}%`;
+    }
+
+    function toWareki(dateString) {
+        if (!dateString) return '';
+        const date = new Date(dateString);
+        date.setMinutes(date.getMinutes() + date.getTimezoneOffset());
+        try {
+            return new Intl.DateTimeFormat('ja-JP-u-ca-japanese', {
+                era: 'long',
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            }).format(date);
+        }
+        catch (e) {
+            console.warn("Wareki formatting failed, falling back to western calendar:", e);
+            return date.toLocaleString('ja-JP', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+        }
+    }
+
+    function formatFieldValue(field, value) {
+        return field.type === 'date' ? toWareki(value) : value;
+    }
+
+    /**
+     * ヘッダーの指定位置(header-left / header-right / footer)に表示する項目のHTMLを生成
+     */
+    function getHeaderFieldsHTML(placement) {
+        return window.ReportTemplate.getFieldsByPlacement(state.template, placement).map(field => {
+            const value = formatFieldValue(field, window.ReportTemplate.getHeaderValue(state, field));
+            return `<div>${escapeHtml(field.label)}: ${escapeHtml(value || 'N/A')}</div>`;
+        }).join('');
+    }
+
+    /**
+     * フッター(フッター配置の項目とページ番号 n / N)のHTMLを生成
+     */
+    function getFooterHTML(pageNumber, pageCount) {
+        const fieldsHTML = getHeaderFieldsHTML('footer');
+        return `<footer class="flex flex-wrap justify-between gap-4 border-t border-black pt-1 mt-2 text-sm flex-shrink-0">${fieldsHTML}<div class="page-number">${pageNumber} / ${pageCount}</div></footer>`;
+    }
+
+    /**
+     * 写真ごとの項目(場所・コメントなど)のキャプションHTMLを生成
+     */
+    function getPhotoCaptionHTML(photo) {
+        return window.ReportTemplate.getPhotoInputFields(state.template).map(field => {
+            const value = window.ReportTemplate.getPhotoValue(photo, field);
+            if (!value) return '';
+            const className = field.type === 'textarea' ? ' class="pre-wrap-break"' : '';
+            return `<p${className}><strong>${escapeHtml(field.label)}:</strong> ${escapeHtml(formatFieldValue(field, value))}</p>`;
+        }).join('');
+    }
+
+    function getTodayString() {
+        const today = new Date();
+        today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+        return today.toISOString().slice(0, 10);
+    }
+
+    /**
+     * 撮影日時(ISO形式)を「令和6年5月1日 10:32」形式に変換
+     */
+    function formatTakenAt(takenAt) {
+        if (!takenAt) return '';
+        const [datePart, timePart = ''] = takenAt.split('T');
+        return `${toWareki(datePart)} ${timePart.slice(0, 5)}`.trim();
+    }
+
+    /**
+     * 写真キャプションに表示する撮影情報(EXIF)のHTMLを生成
+     */
+    function getPhotoInfoHTML(photo) {
+        return getPhotoInfoRows(photo).map(row => `<p><strong>${escapeHtml(row.label)}:</strong> ${escapeHtml(row.value)}</p>`).join('');
+    }
+
+    /**
+     * 表示する撮影情報(EXIF)を { label, value } の一覧で返す
+     */
+    function getPhotoInfoRows(photo) {
+        const fields = state.photoInfoFields || {};
+        const rows = [];
+        if (fields.takenAt && photo.takenAt) {
+            rows.push({ label: '撮影日時', value: formatTakenAt(photo.takenAt) });
+        }
+        if (fields.gps && photo.gps) {
+            rows.push({ label: '撮影位置', value: `${photo.gps.latitude.toFixed(6)}, ${photo.gps.longitude.toFixed(6)}` });
+        }
+        if (fields.cameraModel && photo.cameraModel) {
+            rows.push({ label: '機種', value: photo.cameraModel });
+        }
+        return rows;
+    }
+
+    /**
+     * ファイル先頭を読み込んでEXIF情報を取得する(JPEG以外は既定値)
+     */
+    function readFileExif(file, callback) {
+        const defaults = { orientation: 1, takenAt: null, gps: null, cameraModel: null };
+        if (file.type !== 'image/jpeg' || !window.ExifReader) {
+            callback(defaults);
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                callback(window.ExifReader.readExif(e.target.result));
+            } catch (err) {
+                console.warn('EXIF reading failed:', err);
+                callback(defaults);
+            }
+        };
+        reader.onerror = () => callback(defaults);
+        // EXIFはファイル先頭64KB以内に収まる
+        reader.readAsArrayBuffer(file.slice(0, 65536));
+    }
+
+    /**
+     * 選択・ドロップされた画像ファイルを取り込む
+     * 縮小はWeb Workerで少しずつ行い、選択した順番どおりに写真リストの末尾へ追加する
+     * metadata: ファイルと同じ順番の { takenAt, fields }(外部連携APIから追加する場合)
+     * 戻り値: 追加した写真の配列を返す Promise
+     */
+    function handleFiles(files, metadata = []) {
+        const list = Array.from(files);
+        if (list.length === 0) return Promise.resolve([]);
+        if (activeImport) {
+            alert('写真を読み込み中です。完了してから追加してください。');
+            return Promise.resolve([]);
+        }
+        const firstImportOrder = allocateImportOrders(list.length);
+        const sectionId = state.sections.length > 0 ? state.sections[state.sections.length - 1].id : null; // 最後のセクションに追加
+        const { MAX_DIMENSION, QUALITY } = getCompressionSettings();
+        const failures = [];
+        const addedPhotos = [];
+        let lastRenderedAt = Date.now();
+
+        showImportProgress(0, list.length);
+        activeImport = window.ImagePipeline.importFiles(list, {
+            maxDimension: MAX_DIMENSION,
+            quality: QUALITY,
+            keepSource: state.keepSourceImages,
+            readExif: file => new Promise(resolve => readFileExif(file, resolve)),
+        }, {
+            onProgress: showImportProgress,
+            onResult: ({ file, index, exif, image, source, error }) => {
+                if (error) {
+                    failures.push(`${file.name}: ${error}`);
+                    return;
+                }
+                const photo = {
+                    id: Date.now() + Math.random(),
+                    url: image.url,
+                    width: image.width,
+                    height: image.height,
+                    ...(source ? { sourceUrl: source } : {}), // 電子納品用の縮小前の画像
+                    originalName: file.name,
+                    importOrder: firstImportOrder + index, // 選択・ドロップしたときのファイルの順番
+                    sectionId,
+                    location: '',
+                    comment: '',
+                    takenAt: exif.takenAt,
+                    gps: exif.gps,
+                    cameraModel: exif.cameraModel,
+                    annotations: []
+                };
+                const { takenAt, fields } = metadata[index] || {};
+                if (takenAt) photo.takenAt = takenAt;
+                if (fields) setPhotoFieldValues(photo, fields);
+                state.photos.push(photo);
+                addedPhotos.push(photo);
+                window.GenbaPhoto.emit('photoadded', { id: photo.id, name: photo.originalName });
+                // 大量の写真でも画面が固まらないよう、再描画は1秒に1回までにする
+                if (Date.now() - lastRenderedAt > 1000) {
+                    render();
+                    lastRenderedAt = Date.now();
+                }
+            },
+        });
+
+        return activeImport.promise.then(result => {
+            result.failures.forEach(({ file, error }) => failures.push(`${file.name}: ${error}`));
+        }, err => {
+            // 途中で止まっても、それまでに追加した写真は残して失敗として知らせる
+            console.error('Import failed:', err);
+            failures.push(`読み込みを中断しました: ${err.message}`);
+        }).then(() => {
+            if (addedPhotos.length > 0) {
+                render();
+                notifyStateChange('写真の追加');
+            }
+            if (failures.length > 0) {
+                const details = failures.slice(0, 10).map(failure => `・${failure}`);
+                if (failures.length > 10) details.push(`ほか${failures.length - 10}件`);
+                alert([`${failures.length}件のファイルを追加できませんでした。`, ...details].join('\n'));
+            }
+            return addedPhotos;
+        }).finally(() => {
+            activeImport = null;
+            importProgress.classList.add('hidden');
+        });
+    }
+
+    function showImportProgress(done, total) {
+        importProgress.classList.remove('hidden');
+        importProgressText.textContent = `写真を読み込み中… ${done} / ${total}`;
+        importProgressBar.style.width = `${total > 0 ? (done / total) * 100 : 0}%`;
+    }
+
+    /**
+     * 画質設定に応じた最大サイズとJPEG画質を返す
+     */
+    function getCompressionSettings() {
+        if (state.imageQuality === 'highest') {
+            return { MAX_DIMENSION: 2560, QUALITY: 0.92 };
+        }
+        return { MAX_DIMENSION: 1920, QUALITY: 0.90 }; // 'high' (default)
+    }
+
+    /**
+     * 読み込み済み(変換・検証済み)の状態を画面に反映する
+     */
+    function applyState(loadedState) {
+        loadedState.template = window.ReportTemplate.normalizeTemplate(loadedState.template);
+        state = { ...loadedState, zoomLevel: state.zoomLevel };
+        renderHeaderFields();
+        templateSelect.value = state.template.id;
+        syncLayoutInputs();
+        coverPageCheckbox.checked = state.coverPage;
+        coverTitleInput.value = state.coverTitle;
+        tableOfContentsCheckbox.checked = state.tableOfContents;
+        orientationSelect.value = state.orientation;
+        fontFamilySelect.value = state.fontFamily;
+        fontSizeInput.value = state.fontSize;
+        fontWeightSelect.value = state.fontWeight;
+        document.querySelector(`input[name="imageQuality"][value="${state.imageQuality}"]`).checked = true;
+        keepSourceImagesCheckbox.checked = state.keepSourceImages;
+        document.querySelector(`input[name="imageDisplayMode"][value="${state.imageDisplayMode}"]`).checked = true;
+        photoInfoCheckboxes.forEach(checkbox => {
+            checkbox.checked = !!state.photoInfoFields[checkbox.value];
+        });
+        render();
+        backfillPhotoSizes();
+        setTimeout(calculateAndSetOptimalZoom, 0); // ロード後にもズームを再計算
+    }
+
+    // --- 自動保存・現場一覧 ---
+
+    /**
+     * IndexedDBに保存した現場の状態を現在の形式に変換する
+     * (形式バージョンを記録していない古い保存データは旧形式とみなす)
+     */
+    function migrateStoredState(project) {
+        return window.ProjectFormat.validateState(
+            window.ProjectFormat.migrateState(project.state, project.formatVersion || 1));
+    }
+
+    /**
+     * 現場データファイルを読み込み、新しい現場として開く(現在の現場は自動保存してから切り替える)
+     */
+    function loadProjectFile(file) {
+        return window.ProjectFormat.readProjectFile(file)
+            .then(openLoadedState)
+            .catch(err => reportProjectFileError(`「${file.name}」を読み込めませんでした。`, err));
+    }
+
+    function openLoadedState(loadedState) {
+        return saveBeforeSwitching().then(() => {
+            // 読み込んだファイルは新しい現場として自動保存する
+            currentProjectId = window.ProjectStore.generateProjectId();
+            applyState(loadedState);
+            notifyStateChange('現場データの読み込み');
+        });
+    }
+
+    /**
+     * 現場データを読み込めなかった理由を表示する
+     */
+    function reportProjectFileError(title, err) {
+        if (err.cancelled) return; // 利用者が取り消した場合は確認の画面で伝え済み
+        console.error(err);
+        if (err instanceof window.ProjectFormat.ProjectFileError) {
+            const details = err.details.slice(0, 10).map(detail => `・${detail}`);
+            if (err.details.length > 10) details.push(`ほか${err.details.length - 10}件`);
+            alert([title, err.message, ...details].join('\n'));
+        } else {
+            alert(`${title}\n${err.message}`);
+        }
+    }
+
+    /**
+     * 保存対象の状態(表示用の一時的な値を除く)を返す
+     */
+    function getPersistableState() {
+        const { zoomLevel, ...persistable } = state;
+        return persistable;
+    }
+
+    /**
+     * 現在の現場をIndexedDBに保存する
+     * 写真も現場名もない空の現場は保存しない。保存できなければ reject する
+     */
+    function autosaveProject() {
+        if (state.photos.length === 0 && !state.siteName && !state.personName) {
+            return Promise.resolve();
+        }
+        const project = {
+            id: currentProjectId,
+            name: state.siteName,
+            updatedAt: Date.now(),
+            photoCount: state.photos.length,
+            formatVersion: window.ProjectFormat.CURRENT_VERSION,
+            state: getPersistableState(),
+        };
+        return window.ProjectStore.saveProject(project)
+            .then(() => window.ProjectStore.setLastProjectId(project.id))
+            .then(() => {
+                isAutosaveFailing = false;
+                return renderProjectLibrary();
+            });
+    }
+
+    function describeStorageError(err) {
+        if (err && err.name === 'QuotaExceededError') {
+            return 'ブラウザの保存容量が不足しています。不要な現場を削除するか、現場データファイルに書き出してください。';
+        }
+        return (err && err.message) || '保存できませんでした。';
+    }
+
+    /**
+     * 編集のたびに自動保存する。失敗したら(続けて失敗している間は1度だけ)知らせる
+     */
+    function autosaveInBackground() {
+        return autosaveProject().catch(err => {
+            console.error('Autosave failed:', err);
+            if (isAutosaveFailing) return;
+            isAutosaveFailing = true;
+            alert(`現場を自動保存できませんでした。このままでは編集内容が残りません。\n${describeStorageError(err)}`);
+        });
+    }
+
+    /**
+     * 利用者が取り消したことを表すエラー(err.cancelled = true)を作る
+     * 失敗と区別して、エラーの表示を省けるようにする
+     */
+    function createCancelledError(message) {
+        const err = new Error(message);
+        err.cancelled = true;
+        return err;
+    }
+
+    /**
+     * 別の現場に切り替える前に今の現場を保存する
+     * 保存できなければ、保存しないまま切り替えるか確認し、取り消されたら reject する(err.cancelled = true)
+     */
+    function saveBeforeSwitching() {
+        return autosaveProject().catch(err => {
+            console.error('Saving before switching failed:', err);
+            if (confirm(`今の現場を保存できませんでした。\n${describeStorageError(err)}\n\n保存しないまま切り替えると、今の現場の編集内容は失われます。切り替えますか？`)) return;
+            throw createCancelledError('今の現場を保存できなかったため、切り替えを取り消しました。');
+        });
+    }
+
+    const debouncedAutosave = debounce(autosaveInBackground, 1000);
+
+    /**
+     * 状態を変更した後に必ず呼び出す
+     * label は元に戻す操作の名前。mergeKey が同じ連続した変更(文字入力など)は1つの操作にまとめる
+     */
+    function notifyStateChange(label = '編集', mergeKey = null) {
+        undoHistory.record(takeSnapshot(), label, mergeKey);
+        updateHistoryButtons();
+        debouncedAutosave();
+        window.GenbaPhoto.emit('statechange', { label });
+    }
+
+    // --- 元に戻す・やり直し ---
+
+    function takeSnapshot() {
+        return { state: window.UndoHistory.cloneState(getPersistableState()), projectId: currentProjectId };
+    }
+
+    /**
+     * 現在の状態を履歴の起点にする(別の現場を開いたとき)
+     */
+    function resetHistory() {
+        undoHistory.reset(takeSnapshot());
+        updateHistoryButtons();
+        hideUndoToast();
+    }
+
+    /**
+     * 履歴の状態を復元する。ファイル読み込み前の状態に戻す場合は元の現場IDに切り替える
+     */
+    function restoreSnapshot(snapshot) {
+        if (!snapshot) return;
+        const restore = () => {
+            currentProjectId = snapshot.projectId;
+            applyState(window.UndoHistory.cloneState(snapshot.state));
+            updateHistoryButtons();
+            debouncedAutosave();
+            window.GenbaPhoto.emit('statechange', { label: '元に戻す・やり直し' });
+        };
+        if (snapshot.projectId !== currentProjectId) {
+            saveBeforeSwitching().then(restore).catch(err => reportProjectFileError('元に戻せませんでした。', err));
+        } else {
+            restore();
+        }
+    }
+
+    function undo() {
+        hideUndoToast();
+        restoreSnapshot(undoHistory.undo());
+    }
+
+    function redo() {
+        hideUndoToast();
+        restoreSnapshot(undoHistory.redo());
+    }
+
+    function updateHistoryButtons() {
+        const undoLabel = undoHistory.getUndoLabel();
+        const redoLabel = undoHistory.getRedoLabel();
+        undoButton.disabled = !undoLabel;
+        redoButton.disabled = !redoLabel;
+        undoButton.title = undoLabel ? `元に戻す: ${undoLabel} (Ctrl+Z)` : '元に戻す (Ctrl+Z)';
+        redoButton.title = redoLabel ? `やり直す: ${redoLabel} (Ctrl+Shift+Z)` : 'やり直す (Ctrl+Shift+Z)';
+    }
+
+    let undoToastTimer = null;
+
+    /**
+     * 気付きにくい操作(削除・入れ替え)の直後に、元に戻すボタン付きの通知を表示する
+     */
+    function showUndoToast(message) {
+        undoToastMessage.textContent = message;
+        undoToast.classList.remove('hidden');
+        clearTimeout(undoToastTimer);
+        undoToastTimer = setTimeout(hideUndoToast, 6000);
+    }
+
+    function hideUndoToast() {
+        clearTimeout(undoToastTimer);
+        undoToast.classList.add('hidden');
+    }
+
+    function renderProjectLibrary() {
+        return window.ProjectStore.listProjects().then(projects => {
+            if (projects.length === 0) {
+                projectLibraryList.innerHTML = '<p class="text-center text-gray-500 text-sm">保存された現場はありません。</p>';
+                return;
+            }
+            projectLibraryList.innerHTML = projects.map(project => {
+                const isCurrent = project.id === currentProjectId;
+                const updatedAt = new Date(project.updatedAt).toLocaleString('ja-JP', { dateStyle: 'short', timeStyle: 'short' });
+                return `<div class="p-2 border rounded-md ${isCurrent ? 'bg-indigo-50' : 'bg-slate-50'}" data-project-id="${project.id}">
+                    <div class="text-sm font-semibold text-gray-800">${escapeHtml(project.name || '(現場名なし)')}</div>
+                    <div class="text-xs text-gray-500">${updatedAt} ・ 写真${project.photoCount}枚</div>
+                    <div class="flex gap-2 mt-1 text-xs">
+                        <button data-action="open" class="text-indigo-600" ${isCurrent ? 'disabled' : ''}>${isCurrent ? '編集中' : '開く'}</button>
+                        <button data-action="duplicate" class="text-indigo-600">複製</button>
+                        <button data-action="delete" class="text-red-500 hover:text-red-700">削除</button>
+                    </div>
+                </div>`;
+            }).join('');
+        }).catch(err => {
+            projectLibraryList.innerHTML = '<p class="text-center text-gray-500 text-sm">現場一覧を利用できません。</p>';
+            console.warn('Failed to list projects:', err);
+        });
+    }
+
+    function openProject(id) {
+        saveBeforeSwitching()
+            .then(() => window.ProjectStore.getProject(id))
+            .then(project => {
+                if (!project) return;
+                currentProjectId = project.id;
+                applyState(migrateStoredState(project));
+                resetHistory();
+                return window.ProjectStore.setLastProjectId(project.id);
+            })
+            .then(() => renderProjectLibrary())
+            .catch(err => reportProjectFileError('保存済みの現場を開けませんでした。', err));
+    }
+
+    function duplicateProject(id) {
+        window.ProjectStore.getProject(id)
+            .then(project => {
+                if (!project) return;
+                const copy = {
+                    ...project,
+                    id: window.ProjectStore.generateProjectId(),
+                    name: `${project.name || '(現場名なし)'} のコピー`,
+                    updatedAt: Date.now(),
+                    state: { ...project.state, siteName: `${project.state.siteName || ''} のコピー` },
+                };
+                return window.ProjectStore.saveProject(copy);
+            })
+            .then(() => renderProjectLibrary())
+            .catch(err => reportProjectFileError('現場を複製できませんでした。', err));
+    }
+
+    function deleteProject(id) {
+        if (!confirm('この現場を削除しますか？')) return;
+        window.ProjectStore.deleteProject(id)
+            .then(() => {
+                if (id === currentProjectId) {
+                    startNewProject(false);
+                }
+                return renderProjectLibrary();
+            })
+            .catch(err => reportProjectFileError('現場を削除できませんでした。', err));
+    }
+
+    /**
+     * 新しい空の現場を開始する
+     */
+    function startNewProject(saveCurrent = true) {
+        (saveCurrent ? saveBeforeSwitching() : Promise.resolve())
+            .then(() => {
+                currentProjectId = window.ProjectStore.generateProjectId();
+                const newState = createInitialState();
+                newState.date = getTodayString();
+                applyState(newState);
+                resetHistory();
+                return renderProjectLibrary();
+            })
+            .catch(err => reportProjectFileError('新しい現場を始められませんでした。', err));
+    }
+
+    /**
+     * 写真のピクセルサイズを保証する(サイズを保存していない古いデータ向け)
+     */
+    function ensurePhotoSize(photo) {
+        if (photo.width && photo.height) return Promise.resolve(photo);
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                photo.width = img.naturalWidth;
+                photo.height = img.naturalHeight;
+                resolve(photo);
+            };
+            img.onerror = reject;
+            img.src = photo.url;
+        });
+    }
+
+    /**
+     * 表示・出力に使う画像(回転・切り抜き > 補正・マスキング > 元画像の順に、編集したものを優先する)
+     * 補正・マスキングした画像は元画像と同じ大きさ
+     */
+    function getDisplayImage(photo) {
+        if (photo.editedUrl) {
+            return { url: photo.editedUrl, width: photo.editedWidth, height: photo.editedHeight };
+        }
+        return { url: photo.retouchedUrl || photo.url, width: photo.width, height: photo.height };
+    }
+
+    function getRetouchLabel(photo) {
+        const count = photo.retouch ? photo.retouch.redactions.length : 0;
+        if (count > 0) return ` (マスキング${count})`;
+        return window.PhotoRetouch.hasAdjustments(photo.retouch) ? ' (補正済)' : '';
+    }
+
+    function isPhotoEdited(photo) {
+        return !!(photo.editedUrl || photo.displayMode || (photo.edit && (photo.edit.focalX !== 0.5 || photo.edit.focalY !== 0.5)));
+    }
+
+    /**
+     * サイズを保存していない古いデータの写真サイズを読み取り、プレビューを更新する
+     */
+    function backfillPhotoSizes() {
+        const missing = state.photos.filter(photo => !photo.width || !photo.height);
+        if (missing.length === 0) return;
+        Promise.all(missing.map(photo => ensurePhotoSize(photo).catch(() => null))).then(() => renderPreview());
+    }
+
+    /**
+     * 写真が載るページの写真枠の縦横比(切り抜きの比率固定に使用)
+     * ページの中身を作っていなければ一時的に作って測り、測れなければレイアウトとページ設定から概算する
+     */
+    function getCellAspectRatio(photo) {
+        const pages = buildPages();
+        const pageIndex = pages.findIndex(page => (page.photos || []).includes(photo));
+        if (pageIndex < 0) return 4 / 3;
+        const entry = previewPages[pageIndex];
+        if (entry && entry.html) {
+            const isRendered = entry.renderedHtml !== null;
+            if (!isRendered) entry.element.innerHTML = entry.html;
+            const photoArea = entry.element.querySelector(`.preview-photo-cell[data-photo-id="${photo.id}"] .photo-area`);
+            const ratio = photoArea && photoArea.clientHeight ? photoArea.clientWidth / photoArea.clientHeight : null;
+            if (!isRendered) entry.element.innerHTML = '';
+            if (ratio) return ratio;
+        }
+        return estimateCellAspectRatio(pages[pageIndex].layout);
+    }
+
+    /**
+     * レイアウトとページ設定から写真枠の縦横比を概算する(プレビューが非表示で測れない場合)
+     */
+    function estimateCellAspectRatio(layout) {
+        const HEADER_FOOTER_HEIGHT = 25; // ヘッダーとフッターのおおよその高さ(mm)
+        const size = window.PageSetup.getPageSize(state.pageSetup, state.orientation);
+        const padding = window.PageSetup.getPagePadding(state.pageSetup);
+        const cellWidth = (size.width - padding.left - padding.right) / layout.columns;
+        const cellHeight = (size.height - padding.top - padding.bottom - HEADER_FOOTER_HEIGHT) / layout.rows;
+        // 説明表は写真の右に幅40%、それ以外はキャプションが写真の上か下に入る(おおよそ2割)
+        return layout.captionPosition === 'side' ? cellWidth * 0.6 / cellHeight : cellWidth / (cellHeight * 0.8);
+    }
+
+    function openPhotoEditor(photo) {
+        const options = { cellRatio: getCellAspectRatio(photo), quality: getCompressionSettings().QUALITY };
+        window.PhotoEditor.open(photo, options, (editedPhoto, { edit, edited, displayMode }) => {
+            // 書き込みは写真の同じ場所を指すように、新しい回転・切り抜きに合わせて座標を変換する
+            const mapPoint = window.PhotoEditor.createPointMapper(editedPhoto.edit, edit);
+            if (editedPhoto.annotations) {
+                editedPhoto.annotations = window.AnnotationEditor.transformAnnotations(editedPhoto.annotations, mapPoint);
+            }
+            editedPhoto.edit = edit;
+            editedPhoto.displayMode = displayMode;
+            setEditedImage(editedPhoto, edited);
+            // 黒板は写真の上に重ねる板なので、位置はそのままで画像からはみ出さないようにだけ直す
+            const image = getDisplayImage(editedPhoto);
+            if (editedPhoto.blackboard && image.width && image.height) {
+                window.Blackboard.fitToImage(editedPhoto.blackboard, image.width, image.height);
+            }
+            render();
+            notifyStateChange('写真の編集');
+        });
+    }
+
+    /**
+     * 回転・切り抜きした画像を写真に設定する(edited が null なら編集なし)
+     */
+    function setEditedImage(photo, edited) {
+        if (edited) {
+            photo.editedUrl = edited.url;
+            photo.editedWidth = edited.width;
+            photo.editedHeight = edited.height;
+        } else {
+            delete photo.editedUrl;
+            delete photo.editedWidth;
+            delete photo.editedHeight;
+        }
+    }
+
+    /**
+     * 補正・マスキングした画像を作り直す。回転・切り抜きした画像もその画像から作り直す
+     */
+    function updateRetouchedImage(photo) {
+        const quality = getCompressionSettings().QUALITY;
+        return window.PhotoRetouch.applyRetouch(photo.url, photo.retouch, quality)
+            .then(retouched => {
+                if (retouched) photo.retouchedUrl = retouched.url;
+                else delete photo.retouchedUrl;
+                return window.PhotoEditor.applyEdit(photo.retouchedUrl || photo.url, photo.edit, quality);
+            })
+            .then(edited => setEditedImage(photo, edited));
+    }
+
+    /**
+     * 補正・マスキングの画面を開く
+     * targets: 明るさなどの補正を同じように適用する写真(マスキングは開いた写真だけに適用する)
+     */
+    function openRetouchEditor(photo, targets = [photo]) {
+        window.PhotoRetouch.open(photo, { batchCount: targets.length }, (editedPhoto, { retouch, needsRedaction }) => {
+            if (needsRedaction) editedPhoto.needsRedaction = true;
+            else delete editedPhoto.needsRedaction;
+            targets.forEach(target => {
+                const redactions = target === editedPhoto
+                    ? (retouch ? retouch.redactions : [])
+                    : (target.retouch ? target.retouch.redactions : []);
+                const adjusted = window.PhotoRetouch.normalizeRetouch({ ...retouch, redactions });
+                if (adjusted) target.retouch = adjusted;
+                else delete target.retouch;
+            });
+            // 大きな写真を一度に読み込まないよう、1枚ずつ作り直す
+            targets.reduce((chain, target) => chain.then(() => updateRetouchedImage(target)), Promise.resolve())
+                .then(() => {
+                    render();
+                    notifyStateChange('写真の補正・マスキング');
+                })
+                .catch(err => {
+                    alert('写真の補正に失敗しました。');
+                    console.error(err);
+                });
+        });
+    }
+
+    /**
+     * 「要マスキング」の写真があれば、出力してよいか確認する。続けてよければ true
+     */
+    function confirmRedactionBeforeOutput(action) {
+        const numbers = state.photos.flatMap((photo, index) => (photo.needsRedaction ? [index + 1] : []));
+        if (numbers.length === 0) return true;
+        return confirm(`「要マスキング」の写真が${numbers.length}枚あります（No.${numbers.join(', No.')}）。\nマスキングしないまま${action}しますか？`);
+    }
+
+    /**
+     * 小黒板の行が連動する共通情報の値を返す
+     */
+    function resolveBlackboardSource(fieldId) {
+        const field = state.template.fields.find(f => f.id === fieldId);
+        return field ? formatFieldValue(field, window.ReportTemplate.getHeaderValue(state, field)) : '';
+    }
+
+    function openBlackboardEditor(photo) {
+        const photoNumber = state.photos.indexOf(photo) + 1;
+        const context = {
+            sources: window.ReportTemplate.getHeaderInputFields(state.template).map(({ id, label }) => ({ id, label })),
+            resolveSource: resolveBlackboardSource,
+            bakeFileName: `${state.siteName || '現場写真'}_${String(photoNumber).padStart(3, '0')}_黒板.jpg`,
+        };
+        ensurePhotoSize(photo).then(() => {
+            window.Blackboard.open(photo, getDisplayImage(photo), context, (editedPhoto, board, applyToAll) => {
+                editedPhoto.blackboard = JSON.parse(JSON.stringify(board));
+                const others = state.photos.filter(target => target !== editedPhoto);
+                if (applyToAll && others.length > 0 && confirm(`ほかの写真（${others.length}枚）にもこの黒板を適用します。\n位置・大きさ・色と行の項目はそろえ、写真ごとに入力済みの値（測点など）はそのまま残します。\n\nOKで全ての写真に、キャンセルでこの写真だけに適用します。`)) {
+                    others.forEach(target => applyBlackboardLayout(target, board));
+                }
+                render();
+                notifyStateChange('小黒板の編集');
+            });
+        });
+    }
+
+    /**
+     * 黒板の位置・大きさ・色と行の項目をほかの写真にそろえる。写真ごとに入力済みの値(連動していない行)は残す
+     */
+    function applyBlackboardLayout(target, board) {
+        const ownValues = new Map(((target.blackboard && target.blackboard.rows) || [])
+            .filter(row => !row.source && row.value)
+            .map(row => [row.key, row.value]));
+        const copy = JSON.parse(JSON.stringify(board));
+        copy.rows.forEach(row => {
+            if (!row.source && ownValues.has(row.key)) row.value = ownValues.get(row.key);
+        });
+        const image = getDisplayImage(target);
+        if (image.width && image.height) window.Blackboard.fitToImage(copy, image.width, image.height);
+        target.blackboard = copy;
+    }
+
+    function openAnnotationEditor(photo) {
+        ensurePhotoSize(photo).then(() => {
+            window.AnnotationEditor.open(photo, getDisplayImage(photo), (editedPhoto, annotations) => {
+                editedPhoto.annotations = annotations;
+                render();
+                notifyStateChange('書き込みの編集');
+            });
+        });
+    }
+
+    // --- ページレイアウト ---
+
+    function renderLayoutOptions() {
+        pageLayoutSelect.innerHTML = window.PageLayout.getPresetOptions()
+            .map(option => `<option value="${option.id}">${option.label}</option>`).join('');
+        captionPositionSelect.innerHTML = Object.entries(window.PageLayout.CAPTION_POSITIONS)
+            .map(([position, label]) => `<option value="${position}">${label}</option>`).join('');
+        paperSizeSelect.innerHTML = Object.entries(window.PageSetup.PAPER_SIZES)
+            .map(([id, paper]) => `<option value="${id}">${paper.label} (${paper.width}×${paper.height}mm)</option>`).join('');
+        bindingEdgeSelect.innerHTML = Object.entries(window.PageSetup.BINDING_EDGES)
+            .map(([edge, label]) => `<option value="${edge}">${label}</option>`).join('');
+        syncLayoutInputs();
+    }
+
+    function syncLayoutInputs() {
+        pageLayoutSelect.value = state.layout.id;
+        captionPositionSelect.value = state.layout.captionPosition;
+        layoutRowsInput.value = state.layout.rows;
+        layoutColumnsInput.value = state.layout.columns;
+        customLayoutFields.classList.toggle('hidden', state.layout.id !== 'custom');
+        paperSizeSelect.value = state.pageSetup.paperSize;
+        pageMarginInputs.forEach(input => { input.value = state.pageSetup.margins[input.dataset.margin]; });
+        bindingMarginInput.value = state.pageSetup.bindingMargin;
+        bindingEdgeSelect.value = state.pageSetup.bindingEdge;
+    }
+
+    /**
+     * ページ設定を変更してプレビューとズームを更新する
+     */
+    function updatePageSetup(changes, label) {
+        state.pageSetup = window.PageSetup.normalizePageSetup({ ...state.pageSetup, ...changes });
+        syncLayoutInputs(); // 範囲外の値を入力した場合は補正後の値を表示する
+        renderPreview();
+        notifyStateChange(label);
+        setTimeout(calculateAndSetOptimalZoom, 0); // 用紙の大きさが変わるため再計算
     }
 
-    const debouncedRenderPreview = debounce(() => renderPreview());
-    const debouncedCalculateAndSetOptimalZoom = debounce(calculateAndSetOptimalZoom, 150);
+    // --- 帳票テンプレート ---
 
-    function updateZoom() {
-        previewContainer.style.transform = `scale(${state.zoomLevel})`;
-        previewContainer.style.transformOrigin = 'top center';
-        zoomDisplay.textContent = `${Math.round(state.zoomLevel * 100)}%`;
+    function renderTemplateOptions() {
+        return window.ProjectStore.listTemplates().then(templates => {
+            const defaultTemplate = window.ReportTemplate.createDefaultTemplate();
+            const options = [defaultTemplate, ...templates];
+            // ライブラリにないテンプレート(他のPCで作成した現場など)も選択肢に含める
+            if (!options.some(template => template.id === state.template.id)) options.push(state.template);
+            templateSelect.innerHTML = options.map(template => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`).join('');
+            templateSelect.value = state.template.id;
+            return options;
+        }).catch(err => console.warn('Failed to list templates:', err));
     }
 
-    function chunkArray(arr, size) {
-        const chunked = [];
-        for (let i = 0; i < arr.length; i += size) {
-            chunked.push(arr.slice(i, i + size));
+    function applyTemplate(template) {
+        const normalized = window.ReportTemplate.normalizeTemplate(JSON.parse(JSON.stringify(template)));
+        if (!moveFieldValuesBetweenPlacements(normalized)) {
+            renderTemplateOptions(); // 選択欄を今のテンプレートに戻す
+            return;
         }
-        return chunked;
+        state.template = normalized;
+        renderHeaderFields();
+        renderTemplateOptions();
+        render();
+        notifyStateChange('テンプレートの適用');
     }
 
-    function getGridLayout(count, orientation) {
-        switch (Number(count)) {
-            case 1: return 'grid-cols-1 grid-rows-1';
-            case 2: return orientation === 'portrait' ? 'grid-cols-1 grid-rows-2' : 'grid-cols-2 grid-rows-1';
-            case 3: return orientation === 'portrait' ? 'grid-cols-1 grid-rows-3' : 'grid-cols-3 grid-rows-1';
-            case 4: return 'grid-cols-2 grid-rows-2';
-            case 6: return orientation === 'portrait' ? 'grid-cols-2 grid-rows-3' : 'grid-cols-3 grid-rows-2';
-            case 8: return orientation === 'portrait' ? 'grid-cols-2 grid-rows-4' : 'grid-cols-4 grid-rows-2';
-            default: return 'grid-cols-2 grid-rows-2';
+    /**
+     * 「写真ごと」と共通情報(ヘッダー・フッターなど)の間で配置が変わる項目の値を移す
+     * 写真ごとに違う値を共通情報に移すと1つしか残らないため確認し、取り消されたら false を返す
+     */
+    function moveFieldValuesBetweenPlacements(template) {
+        const { isPhotoField, getHeaderValue, setHeaderValue, getPhotoValue, setPhotoValue } = window.ReportTemplate;
+        const moves = template.fields
+            .map(field => ({ field, previous: state.template.fields.find(f => f.id === field.id) }))
+            .filter(({ field, previous }) => previous && isPhotoField(previous) !== isPhotoField(field));
+        const conflicts = moves.filter(({ field, previous }) => !isPhotoField(field)
+            && new Set(state.photos.map(photo => getPhotoValue(photo, previous)).filter(Boolean)).size > 1);
+        if (conflicts.length > 0) {
+            const labels = conflicts.map(({ field }) => `「${field.label}」`).join('');
+            if (!confirm(`${labels}は写真ごとに違う値が入っています。共通情報に移すと、最初の写真の値だけが残ります。続けますか？`)) return false;
         }
+        moves.forEach(({ field, previous }) => {
+            if (isPhotoField(field)) {
+                // 共通情報の値を、値の入っていない写真に入れる
+                const value = getHeaderValue(state, previous);
+                if (value) state.photos.forEach(photo => { if (!getPhotoValue(photo, field)) setPhotoValue(photo, field, value); });
+                if (state.headerValues) delete state.headerValues[field.id];
+            } else {
+                const value = state.photos.map(photo => getPhotoValue(photo, previous)).find(Boolean);
+                if (value && !getHeaderValue(state, field)) setHeaderValue(state, field, value);
+                state.photos.forEach(photo => { if (photo.fields) delete photo.fields[field.id]; });
+            }
+        });
+        return true;
     }
 
-    function toWareki(dateString) {
-        if (!dateString) return '';
-        const date = new Date(dateString);
-        date.setMinutes(date.getMinutes() + date.getTimezoneOffset());
-        try {
-            return new Intl.DateTimeFormat('ja-JP-u-ca-japanese', {
-                era: 'long',
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            }).format(date);
+    // --- 写真台帳(CSV/Excel) ---
+
+    /**
+     * 写真IDごとに、印刷される何ページ目かを返す(表紙・目次もページに数える)
+     */
+    function getPhotoPageNumbers() {
+        const pageNumbers = new Map();
+        buildPages().forEach((page, index) => {
+            (page.photos || []).forEach(photo => pageNumbers.set(photo.id, index + 1));
+        });
+        return pageNumbers;
+    }
+
+    /**
+     * 写真台帳(No.・ページ・ファイル名・写真ごとの項目・撮影日時)をCSVで出力する
+     */
+    function exportPhotoLedger() {
+        const photoFields = window.ReportTemplate.getPhotoInputFields(state.template);
+        const pageNumbers = getPhotoPageNumbers();
+        const hasSections = state.sections.length > 0;
+        const getSectionName = (photo) => (state.sections.find(section => section.id === photo.sectionId) || { name: '' }).name;
+        const rows = [['No.', 'ページ', ...(hasSections ? ['セクション'] : []), 'ファイル名', ...photoFields.map(field => field.label), '撮影日時']];
+        state.photos.forEach((photo, index) => {
+            rows.push([
+                index + 1,
+                pageNumbers.get(photo.id),
+                ...(hasSections ? [getSectionName(photo)] : []),
+                photo.originalName || '',
+                ...photoFields.map(field => window.ReportTemplate.getPhotoValue(photo, field)),
+                formatTakenAt(photo.takenAt),
+            ]);
+        });
+        const blob = new Blob([window.PhotoLedger.toCsv(rows)], { type: 'text/csv' });
+        window.DomUtils.downloadBlob(blob, state.siteName ? `写真台帳_${state.siteName}.csv` : '写真台帳.csv');
+    }
+
+    /**
+     * 電子納品の分類の入力画面を開く(写真ごとの写真区分・工種などを入力してからZIPを出力する)
+     */
+    function openPhotoDelivery() {
+        window.PhotoDelivery.openEditor({
+            photos: state.photos,
+            standard: state.deliveryStandard,
+            date: state.date,
+            getThumbnailUrl: photo => getDisplayImage(photo).url,
+            onApply: ({ standard, assignments }) => {
+                state.deliveryStandard = standard;
+                assignments.forEach(({ photo, values }) => { photo.delivery = values; });
+                notifyStateChange('電子納品の分類の入力');
+            },
+            onExport: exportPhotoDelivery,
+        });
+    }
+
+    /**
+     * 電子納品用の PHOTO フォルダ(PHOTO.XML・元の画像)をZIPで出力する
+     */
+    function exportPhotoDelivery() {
+        const context = { standard: state.deliveryStandard, date: state.date };
+        const errors = window.PhotoDelivery.validatePhotos(state.photos, context);
+        if (errors.length > 0) {
+            const details = errors.slice(0, 10).map(error => `・${error.index === null ? '' : `No.${error.index + 1}: `}${error.message}`);
+            if (errors.length > 10) details.push(`ほか${errors.length - 10}件`);
+            alert(['電子納品データを出力できません。', ...details].join('\n'));
+            return;
         }
-        catch (e) {
-            console.warn("Wareki formatting failed, falling back to western calendar:", e);
-            return date.toLocaleString('ja-JP', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
+        if (!confirmRedactionBeforeOutput('電子納品データを出力')) return;
+        // 元のJPEGをそのまま納品するが、マスキングした写真だけはマスキングを適用した画像にする
+        const quality = getCompressionSettings().QUALITY;
+        Promise.all(state.photos.map(photo => (window.PhotoRetouch.hasRedactions(photo.retouch)
+            ? window.PhotoRetouch.applyRedactionsOnly(photo.sourceUrl, photo.retouch.redactions, quality).then(sourceUrl => ({ ...photo, sourceUrl }))
+            : photo)))
+            .then(photos => window.PhotoDelivery.createDeliveryPackage(photos, context))
+            .then(blob => window.DomUtils.downloadBlob(blob, state.siteName ? `PHOTO_${state.siteName}.zip` : 'PHOTO.zip'))
+            .catch(err => {
+                alert(`電子納品データの出力に失敗しました。\n${err.message}`);
+                console.error(err);
             });
-        }
     }
 
-    function handleFiles(files) {
-        Array.from(files).forEach(file => {
-            if (!file.type.startsWith('image/')) return;
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                compressImage(e.target.result, (compressedUrl) => {
-                    state.photos.push({
-                        id: Date.now() + Math.random(),
-                        url: compressedUrl,
-                        location: '',
-                        comment: ''
+    function importPhotoLedger(file) {
+        window.PhotoLedger.readSpreadsheet(file).then(rows => {
+            if (rows.length < 2) {
+                alert('取り込む行がありません。1行目に見出し、2行目以降に写真ごとの内容を入力してください。');
+                return;
+            }
+            window.PhotoLedger.openImport(rows, {
+                photos: state.photos,
+                fields: window.ReportTemplate.getPhotoInputFields(state.template),
+                getThumbnailUrl: photo => getDisplayImage(photo).url,
+                onApply: assignments => {
+                    assignments.forEach(({ photo, values }) => {
+                        Object.entries(values).forEach(([fieldId, value]) => {
+                            const field = state.template.fields.find(f => f.id === fieldId);
+                            if (field) window.ReportTemplate.setPhotoValue(photo, field, value);
+                        });
                     });
                     render();
-                });
-            };
-            reader.readAsDataURL(file);
+                    notifyStateChange('キャプションの取り込み');
+                },
+            });
+        }).catch(err => {
+            alert('ファイルの読み込みに失敗しました。CSVまたはExcel(.xlsx)ファイルを選択してください。');
+            console.error(err);
         });
     }
 
-    function compressImage(src, callback) {
-        let MAX_DIMENSION, QUALITY;
+    // --- イベントリスナー ---
+    function setupEventListeners() {
+        headerFieldsContainer.addEventListener('input', e => {
+            const field = state.template.fields.find(f => f.id === e.target.dataset.headerField);
+            if (!field) return;
+            window.ReportTemplate.setHeaderValue(state, field, e.target.value);
+            debouncedRenderPreview();
+            notifyStateChange('共通情報の入力', `header:${field.id}`);
+        });
 
-        if (state.imageQuality === 'highest') {
-            MAX_DIMENSION = 2560;
-            QUALITY = 0.92;
-        } else { // 'high' (default)
-            MAX_DIMENSION = 1920;
-            QUALITY = 0.90;
-        }
-
-        const img = new Image();
-        img.onload = () => {
-            let width = img.width;
-            let height = img.height;
-
-            if (width > height) {
-                if (width > MAX_DIMENSION) {
-                    height *= MAX_DIMENSION / width;
-                    width = MAX_DIMENSION;
+        templateSelect.addEventListener('change', e => {
+            const id = e.target.value;
+            if (id === state.template.id) return;
+            // 一覧を読み直すと選択欄が今のテンプレートに戻るため、選んだIDは先に控えておく
+            renderTemplateOptions().then(options => {
+                const template = (options || []).find(t => t.id === id);
+                if (template) applyTemplate(template);
+            });
+        });
+
+        editTemplateButton.addEventListener('click', () => {
+            window.ReportTemplate.openEditor(state.template, (template, saveToLibrary) => {
+                // 一覧に保存しないで適用したテンプレートは、一覧のテンプレート(標準を含む)と別のものとして選べるよう新しいIDにする
+                if (template.id === 'default' && template.name === window.ReportTemplate.createDefaultTemplate().name) {
+                    template.name += '（変更）';
                 }
-            } else {
-                if (height > MAX_DIMENSION) {
-                    width *= MAX_DIMENSION / height;
-                    height = MAX_DIMENSION;
+                if (template.id === 'default' || !saveToLibrary) template.id = `t${Date.now().toString(36)}`;
+                if (saveToLibrary) {
+                    window.ProjectStore.saveTemplate(JSON.parse(JSON.stringify(template)))
+                        .then(() => renderTemplateOptions());
                 }
-            }
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, width, height);
-            callback(canvas.toDataURL('image/jpeg', QUALITY));
-        };
-        img.src = src;
-    }
+                applyTemplate(template);
+            });
+        });
 
+        deleteTemplateButton.addEventListener('click', () => {
+            const id = templateSelect.value;
+            if (id === 'default') return;
+            if (!confirm('選択中のテンプレートを一覧から削除しますか？（この現場の項目はそのまま残ります）')) return;
+            window.ProjectStore.deleteTemplate(id).then(() => renderTemplateOptions());
+        });
 
-    // --- イベントリスナー ---
-    function setupEventListeners() {
-        siteNameInput.addEventListener('input', e => {
-            state.siteName = e.target.value;
-            debouncedRenderPreview();
+        pageLayoutSelect.addEventListener('change', e => {
+            const preset = window.PageLayout.getPresetOptions().find(option => option.id === e.target.value);
+            state.layout = { ...state.layout, id: e.target.value };
+            if (preset && preset.captionPosition) state.layout.captionPosition = preset.captionPosition;
+            syncLayoutInputs();
+            renderPreview();
+            notifyStateChange('ページレイアウトの変更');
         });
 
-        personNameInput.addEventListener('input', e => {
-            state.personName = e.target.value;
-            debouncedRenderPreview();
+        [layoutRowsInput, layoutColumnsInput].forEach(input => {
+            input.addEventListener('change', () => {
+                state.layout = {
+                    ...state.layout,
+                    rows: Math.min(window.PageLayout.MAX_CUSTOM_CELLS, Math.max(1, parseInt(layoutRowsInput.value, 10) || 1)),
+                    columns: Math.min(window.PageLayout.MAX_CUSTOM_CELLS, Math.max(1, parseInt(layoutColumnsInput.value, 10) || 1)),
+                };
+                syncLayoutInputs();
+                renderPreview();
+                notifyStateChange('ページレイアウトの変更');
+            });
         });
 
-        dateInput.addEventListener('change', e => {
-            state.date = e.target.value;
+        captionPositionSelect.addEventListener('change', e => {
+            state.layout = { ...state.layout, captionPosition: e.target.value };
             renderPreview();
+            notifyStateChange('キャプションの位置の変更');
         });
 
-        photosPerPageSelect.addEventListener('change', e => {
-            state.photosPerPage = parseInt(e.target.value, 10);
-            render();
-            setTimeout(calculateAndSetOptimalZoom, 0); // レイアウト変更後に再計算
+        paperSizeSelect.addEventListener('change', e => {
+            updatePageSetup({ paperSize: e.target.value }, '用紙サイズの変更');
+        });
+
+        pageMarginInputs.forEach(input => {
+            input.addEventListener('change', e => {
+                updatePageSetup({ margins: { ...state.pageSetup.margins, [e.target.dataset.margin]: e.target.value } }, '余白の変更');
+            });
+        });
+
+        bindingMarginInput.addEventListener('change', e => {
+            updatePageSetup({ bindingMargin: e.target.value }, 'とじしろの変更');
+        });
+
+        bindingEdgeSelect.addEventListener('change', e => {
+            updatePageSetup({ bindingEdge: e.target.value }, 'とじる位置の変更');
+        });
+
+        // ページごとのレイアウト切り替え
+        previewContainer.addEventListener('change', e => {
+            if (!e.target.matches('[data-page-layout]')) return;
+            const photo = state.photos.find(p => p.id === parseFloat(e.target.dataset.pageLayout));
+            if (!photo) return;
+            if (e.target.value) {
+                photo.pageLayout = { id: e.target.value };
+            } else {
+                delete photo.pageLayout;
+            }
+            renderPreview();
+            notifyStateChange('ページのレイアウトの変更');
+        });
+
+        coverPageCheckbox.addEventListener('change', e => {
+            state.coverPage = e.target.checked;
+            renderPreview();
+            notifyStateChange('表紙の設定');
+        });
+
+        coverTitleInput.addEventListener('input', e => {
+            state.coverTitle = e.target.value;
+            debouncedRenderPreview();
+            notifyStateChange('表紙のタイトルの入力', 'coverTitle');
+        });
+
+        tableOfContentsCheckbox.addEventListener('change', e => {
+            state.tableOfContents = e.target.checked;
+            renderPreview();
+            notifyStateChange('目次の設定');
         });
 
         orientationSelect.addEventListener('change', e => {
             state.orientation = e.target.value;
             render();
+            notifyStateChange('用紙の向きの変更');
             setTimeout(calculateAndSetOptimalZoom, 0); // レイアウト変更後に再計算
         });
 
         fontFamilySelect.addEventListener('change', e => {
             state.fontFamily = e.target.value;
             renderPreview();
+            notifyStateChange('書体の変更');
         });
 
         fontSizeInput.addEventListener('change', e => {
             state.fontSize = parseInt(e.target.value, 10);
             renderPreview();
+            notifyStateChange('文字サイズの変更');
         });
 
         fontWeightSelect.addEventListener('change', e => {
             state.fontWeight = e.target.value;
             renderPreview();
+            notifyStateChange('文字の太さの変更');
         });
 
         imageQualityRadios.forEach(radio => {
             radio.addEventListener('change', (e) => {
                 state.imageQuality = e.target.value;
+                notifyStateChange('画質の変更');
             });
         });
 
+        keepSourceImagesCheckbox.addEventListener('change', e => {
+            state.keepSourceImages = e.target.checked;
+            notifyStateChange('元の画像の保存の設定');
+        });
+
         imageDisplayModeRadios.forEach(radio => {
             radio.addEventListener('change', (e) => {
                 state.imageDisplayMode = e.target.value;
                 renderPreview();
+                notifyStateChange('写真の表示方法の変更');
+            });
+        });
+
+        photoInfoCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                state.photoInfoFields = { ...state.photoInfoFields, [e.target.value]: e.target.checked };
+                renderPreview();
+                notifyStateChange('撮影情報の表示の変更');
             });
         });
 
+        // 写真の選択・一括操作
+        photoListContainer.addEventListener('click', e => {
+            if (!e.target.matches('[data-select-photo]')) return;
+            setPhotoSelected(parseFloat(e.target.dataset.selectPhoto), e.target.checked, e.shiftKey);
+        });
+
+        selectAllPhotosCheckbox.addEventListener('change', e => {
+            selectedPhotoIds.clear();
+            if (e.target.checked) state.photos.forEach(photo => selectedPhotoIds.add(photo.id));
+            lastSelectedPhotoId = null;
+            updateSelectionDisplay();
+        });
+
+        photoBulkActions.addEventListener('click', e => {
+            const button = e.target.closest('button[data-bulk-action]');
+            if (button) applyBulkAction(button.dataset.bulkAction);
+        });
+
+        photoSortOrderSelect.addEventListener('change', e => {
+            sortPhotos(e.target.value);
+            e.target.value = '';
+        });
+
+        // セクション
+        addSectionButton.addEventListener('click', () => {
+            const section = { id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: `セクション${state.sections.length + 1}` };
+            state.sections.push(section);
+            render();
+            notifyStateChange('セクションの追加');
+            const nameInput = photoListContainer.querySelector(`[data-section-name="${section.id}"]`);
+            if (nameInput) {
+                nameInput.focus();
+                nameInput.select();
+            }
+        });
+
+        photoListContainer.addEventListener('change', e => {
+            if (!e.target.matches('[data-needs-redaction]')) return;
+            const photo = state.photos.find(p => p.id === parseFloat(e.target.dataset.id));
+            if (!photo) return;
+            if (e.target.checked) photo.needsRedaction = true;
+            else delete photo.needsRedaction;
+            render();
+            notifyStateChange(e.target.checked ? '要マスキングの設定' : '要マスキングの解除');
+        });
+
+        photoListContainer.addEventListener('change', e => {
+            if (!e.target.matches('[data-section-select]')) return;
+            const photo = state.photos.find(p => p.id === parseFloat(e.target.dataset.id));
+            if (!photo) return;
+            // 移動先のセクションの末尾に並べる(比較写真の組は組ごと移す)
+            movePhotos([photo], state.photos.length, e.target.value || null);
+            render();
+            notifyStateChange('セクションの変更');
+        });
+
+        photoListContainer.addEventListener('input', e => {
+            if (e.target.matches('[data-section-name]')) {
+                const section = state.sections.find(s => s.id === e.target.dataset.sectionName);
+                if (section) {
+                    section.name = e.target.value;
+                    const group = getPhotoGroups(true).find(g => g.section === section);
+                    markPhotoListItemCurrent(getSectionHeaderItem(section, group.photos.length, state.sections.indexOf(section)));
+                    debouncedRenderPreview();
+                    notifyStateChange('セクション名の入力', `section:${section.id}`);
+                }
+            }
+        });
+
+        photoListContainer.addEventListener('click', e => {
+            const button = e.target.closest('button[data-section-action]');
+            if (!button) return;
+            const index = state.sections.findIndex(s => s.id === button.closest('[data-section-id]').dataset.sectionId);
+            if (index === -1) return;
+            const section = state.sections[index];
+            switch (button.dataset.sectionAction) {
+                case 'remove': {
+                    const photoCount = state.photos.filter(p => p.sectionId === section.id).length;
+                    if (photoCount > 0 && !confirm(`「${section.name}」を削除しますか？（${photoCount}枚の写真は未分類に移動します）`)) return;
+                    state.sections.splice(index, 1);
+                    state.photos.forEach(p => {
+                        if (p.sectionId === section.id) p.sectionId = null;
+                    });
+                    break;
+                }
+                case 'up':
+                case 'down': {
+                    const target = button.dataset.sectionAction === 'up' ? index - 1 : index + 1;
+                    if (target < 0 || target >= state.sections.length) return;
+                    [state.sections[index], state.sections[target]] = [state.sections[target], state.sections[index]];
+                    break;
+                }
+                default:
+                    return;
+            }
+            sortPhotosBySection();
+            render();
+            notifyStateChange(button.dataset.sectionAction === 'remove' ? 'セクションの削除' : 'セクションの並び替え');
+        });
+
         photoListContainer.addEventListener('input', e => {
-            if (e.target.matches('input[type="text"], textarea')) {
+            if (e.target.matches('[data-field]')) {
                 const photoId = parseFloat(e.target.dataset.id);
                 const photo = state.photos.find(p => p.id === photoId);
-                if (photo) {
-                    photo[e.target.dataset.field] = e.target.value;
+                const field = state.template.fields.find(f => f.id === e.target.dataset.field);
+                if (photo && field) {
+                    window.ReportTemplate.setPhotoValue(photo, field, e.target.value);
+                    markPhotoListItemCurrent(getPhotoCardItem(photo));
                     debouncedRenderPreview();
+                    notifyStateChange('写真の項目の入力', `photo:${photoId}:${field.id}`);
+                }
+            } else if (e.target.matches('[data-comparison-stage]')) {
+                const photoId = parseFloat(e.target.dataset.id);
+                const photo = state.photos.find(p => p.id === photoId);
+                if (photo && photo.comparison) {
+                    photo.comparison.stage = e.target.value;
+                    markPhotoListItemCurrent(getPhotoCardItem(photo));
+                    debouncedRenderPreview();
+                    notifyStateChange('段階の入力', `stage:${photoId}`);
                 }
             }
         });
 
         photoListContainer.addEventListener('click', e => {
+            if (e.target.closest('.edit-photo-btn')) {
+                const photoId = parseFloat(e.target.closest('.edit-photo-btn').dataset.id);
+                const photo = state.photos.find(p => p.id === photoId);
+                if (photo) openPhotoEditor(photo);
+                return;
+            }
+            if (e.target.closest('.retouch-btn')) {
+                const photoId = parseFloat(e.target.closest('.retouch-btn').dataset.id);
+                const photo = state.photos.find(p => p.id === photoId);
+                if (photo) openRetouchEditor(photo);
+                return;
+            }
+            if (e.target.closest('.blackboard-btn')) {
+                const photoId = parseFloat(e.target.closest('.blackboard-btn').dataset.id);
+                const photo = state.photos.find(p => p.id === photoId);
+                if (photo) openBlackboardEditor(photo);
+                return;
+            }
+            if (e.target.closest('.annotate-btn')) {
+                const photoId = parseFloat(e.target.closest('.annotate-btn').dataset.id);
+                const photo = state.photos.find(p => p.id === photoId);
+                if (photo) openAnnotationEditor(photo);
+                return;
+            }
             if (e.target.closest('.remove-btn')) {
                 const photoId = parseFloat(e.target.closest('.remove-btn').dataset.id);
-                state.photos = state.photos.filter(p => p.id !== photoId);
+                const photoNumber = state.photos.findIndex(p => p.id === photoId) + 1;
+                deletePhotos(state.photos.filter(p => p.id === photoId));
                 render();
+                notifyStateChange('写真の削除');
+                showUndoToast(`No.${photoNumber} の写真を削除しました。`);
             }
         });
 
@@ -381,7 +2397,16 @@ document.addEventListener('DOMContentLoaded', () => {
             handleFiles(e.dataTransfer.files);
         });
 
-        fileInput.addEventListener('change', e => handleFiles(e.target.files));
+        fileInput.addEventListener('change', e => {
+            handleFiles(e.target.files);
+            e.target.value = ''; // 同じファイルを続けて選択できるようにする
+        });
+
+        importCancelButton.addEventListener('click', () => {
+            if (!activeImport) return;
+            activeImport.cancel();
+            importProgressText.textContent = '中止しています…';
+        });
 
         dropZone.addEventListener('click', () => fileInput.click());
 
@@ -398,30 +2423,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
         photoListContainer.addEventListener('dragover', e => {
             e.preventDefault();
-            const target = e.target.closest('.draggable');
-            if (!target || !draggedItemId || parseFloat(target.dataset.id) === draggedItemId) return;
-            document.querySelectorAll('.drag-over-top, .drag-over-bottom').forEach(el => el.classList.remove('drag-over-top', 'drag-over-bottom'));
-            const rect = target.getBoundingClientRect();
-            const isOverTopHalf = e.clientY < rect.top + rect.height / 2;
-            target.classList.toggle('drag-over-top', isOverTopHalf);
-            target.classList.toggle('drag-over-bottom', !isOverTopHalf);
+            if (!draggedItemId) return;
+            const target = getListDropTarget(e.target);
+            if (!target || parseFloat(target.dataset.id) === draggedItemId) return;
+            showListDropIndicator(target, e.clientY);
         });
 
         photoListContainer.addEventListener('drop', e => {
             e.preventDefault();
             if (!draggedItemId) return;
-            const dropTarget = e.target.closest('.draggable');
-            document.querySelectorAll('.drag-over-top, .drag-over-bottom').forEach(el => el.classList.remove('drag-over-top', 'drag-over-bottom'));
-            if (!dropTarget) return;
-            const dropTargetId = parseFloat(dropTarget.dataset.id);
-            const draggedIndex = state.photos.findIndex(p => p.id === draggedItemId);
-            if (draggedIndex === -1) return;
-            const [draggedItem] = state.photos.splice(draggedIndex, 1);
-            const dropTargetIndex = state.photos.findIndex(p => p.id === dropTargetId);
-            const rect = dropTarget.getBoundingClientRect();
-            const isOverTopHalf = e.clientY < rect.top + rect.height / 2;
-            state.photos.splice(isOverTopHalf ? dropTargetIndex : dropTargetIndex + 1, 0, draggedItem);
-            render();
+            const target = getListDropTarget(e.target);
+            clearDropIndicators();
+            if (target) dropPhotoInList(draggedItemId, target, e.clientY);
         });
 
         previewContainer.addEventListener('dragstart', e => {
@@ -436,7 +2449,7 @@ document.addEventListener('DOMContentLoaded', () => {
             e.preventDefault();
             const dropTarget = e.target.closest('.preview-photo-cell');
             if (dropTarget && draggedItemId && parseFloat(dropTarget.dataset.photoId) !== draggedItemId) {
-                document.querySelectorAll('.preview-drag-over').forEach(el => el.classList.remove('preview-drag-over'));
+                clearDropIndicators();
                 dropTarget.classList.add('preview-drag-over');
             }
         });
@@ -446,16 +2459,46 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!draggedItemId) return;
             const dropTarget = e.target.closest('.preview-photo-cell');
             document.querySelectorAll('.preview-drag-over, .dragging').forEach(el => el.classList.remove('preview-drag-over', 'dragging'));
-            if (!dropTarget) return;
-            const dropTargetId = parseFloat(dropTarget.dataset.photoId);
-            const draggedIndex = state.photos.findIndex(p => p.id === draggedItemId);
-            const dropIndex = state.photos.findIndex(p => p.id === dropTargetId);
-            if (draggedIndex > -1 && dropIndex > -1) {
-                const temp = state.photos[draggedIndex];
-                state.photos[draggedIndex] = state.photos[dropIndex];
-                state.photos[dropIndex] = temp;
-                render();
-            }
+            if (dropTarget) swapPreviewPhotos(draggedItemId, parseFloat(dropTarget.dataset.photoId));
+        });
+
+        // 指・ペンでのドラッグ(タブレット向け)。ドロップ後の動作はマウスのドラッグ＆ドロップと同じ
+        window.PointerReorder.attach(photoListContainer, {
+            handleSelector: '[data-move-handle]',
+            itemSelector: '.draggable',
+            getDropTarget: element => (photoListContainer.contains(element) ? getListDropTarget(element) : null),
+            onHover: (item, target, e) => showListDropIndicator(target, e.clientY),
+            onDrop: (item, target, e) => dropPhotoInList(parseFloat(item.dataset.id), target, e.clientY),
+            onEnd: clearDropIndicators,
+        });
+
+        window.PointerReorder.attach(previewContainer, {
+            handleSelector: '[data-move-handle]',
+            itemSelector: '.preview-photo-cell',
+            getDropTarget: element => element.closest('#preview-container .preview-photo-cell'),
+            onHover: (item, target) => {
+                clearDropIndicators();
+                if (target) target.classList.add('preview-drag-over');
+            },
+            onDrop: (item, target) => swapPreviewPhotos(parseFloat(item.dataset.photoId), parseFloat(target.dataset.photoId)),
+            onEnd: clearDropIndicators,
+        });
+
+        // キーボード・ボタンでの並び替え
+        [photoListContainer, previewContainer].forEach(container => {
+            container.addEventListener('keydown', e => {
+                const handle = e.target.closest('[data-move-handle]');
+                const command = { ArrowUp: 'up', ArrowDown: 'down', PageUp: 'page-up', PageDown: 'page-down' }[e.key];
+                if (!handle || !e.altKey || !command) return;
+                e.preventDefault();
+                movePhotoByCommand(parseFloat(handle.dataset.moveHandle), command, container, `[data-move-handle="${handle.dataset.moveHandle}"]`);
+            });
+        });
+
+        photoListContainer.addEventListener('click', e => {
+            const button = e.target.closest('button[data-move]');
+            if (!button) return;
+            movePhotoByCommand(parseFloat(button.dataset.id), button.dataset.move, photoListContainer, `[data-move="${button.dataset.move}"][data-id="${button.dataset.id}"]`);
         });
 
         document.addEventListener('dragend', () => {
@@ -465,6 +2508,44 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         });
 
+        // 印刷・PDF出力の間は、画面から離れたページも含めてすべて描画しておく
+        window.addEventListener('beforeprint', () => {
+            // 印刷ボタンからの印刷は、準備を始めたとき(preview-output-start)に通知・描画済み
+            if (isOutputInProgress) return;
+            window.GenbaPhoto.emit('beforeprint', { type: 'print' });
+            setOutputInProgress(true);
+        });
+        window.addEventListener('afterprint', () => setOutputInProgress(false));
+        document.addEventListener('preview-output-start', e => {
+            window.GenbaPhoto.emit('beforeprint', { type: e.detail.type });
+            setOutputInProgress(true);
+        });
+        document.addEventListener('preview-output-end', () => setOutputInProgress(false));
+        document.addEventListener('preview-output-request', e => {
+            if (!confirmRedactionBeforeOutput(e.detail.action)) e.preventDefault();
+        });
+
+        // 元に戻す・やり直し
+        undoButton.addEventListener('click', undo);
+        redoButton.addEventListener('click', redo);
+        document.getElementById('undo-toast-button').addEventListener('click', undo);
+
+        document.addEventListener('keydown', e => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // 編集画面を開いている間はその画面の操作を優先する
+            if (document.querySelector('.modal-backdrop:not(.hidden)')) return;
+            // 入力欄では文字入力の取り消し(ブラウザ標準)を優先する
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        });
+
         // ズーム機能
         zoomInButton.addEventListener('click', () => {
             state.zoomLevel = Math.min(2.0, state.zoomLevel + 0.1);
@@ -484,18 +2565,61 @@ document.addEventListener('DOMContentLoaded', () => {
         // ウィンドウリサイズ時にも最適ズームを再計算
         window.addEventListener('resize', debouncedCalculateAndSetOptimalZoom);
 
+        // 現場一覧
+        newProjectButton.addEventListener('click', () => startNewProject());
+
+        projectLibraryList.addEventListener('click', e => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const projectId = button.closest('[data-project-id]').dataset.projectId;
+            switch (button.dataset.action) {
+                case 'open': openProject(projectId); break;
+                case 'duplicate': duplicateProject(projectId); break;
+                case 'delete': deleteProject(projectId); break;
+            }
+        });
+
+        // タブを閉じる直前に未保存の変更を書き込む
+        window.addEventListener('pagehide', () => autosaveInBackground());
+
+        ledgerImportButton.addEventListener('click', () => {
+            if (state.photos.length === 0) {
+                alert('先に写真を追加してください。');
+                return;
+            }
+            ledgerImportInput.click();
+        });
+
+        ledgerImportInput.addEventListener('change', e => {
+            const file = e.target.files[0];
+            if (file) importPhotoLedger(file);
+            e.target.value = '';
+        });
+
+        ledgerExportButton.addEventListener('click', () => {
+            if (state.photos.length === 0) {
+                alert('写真がありません。');
+                return;
+            }
+            exportPhotoLedger();
+        });
+
+        deliveryButton.addEventListener('click', () => {
+            if (state.photos.length === 0) {
+                alert('写真がありません。');
+                return;
+            }
+            openPhotoDelivery();
+        });
+
         // 保存・読み込み機能
         saveButton.addEventListener('click', () => {
-            const dataStr = JSON.stringify(state, null, 2);
-            const blob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = state.siteName ? `genba_${state.siteName}.json` : 'genba_現場データ.json';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            window.ProjectFormat.createProjectFile(getPersistableState())
+                .then(blob => window.DomUtils.downloadBlob(blob, state.siteName ? `genba_${state.siteName}.zip` : 'genba_現場データ.zip'))
+                .catch(err => {
+                    alert(`現場データの保存に失敗しました。\n${err.message}`);
+                    console.error(err);
+                });
         });
 
         loadButton.addEventListener('click', () => {
@@ -505,36 +2629,160 @@ document.addEventListener('DOMContentLoaded', () => {
         loadInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (!file) return;
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const loadedState = JSON.parse(event.target.result);
-                    if (!loadedState.imageQuality) {
-                        loadedState.imageQuality = 'high';
-                    } // 古いファイルへの後方互換性
-                    state = loadedState;
-                    siteNameInput.value = state.siteName;
-                    personNameInput.value = state.personName;
-                    dateInput.value = state.date;
-                    photosPerPageSelect.value = state.photosPerPage;
-                    orientationSelect.value = state.orientation;
-                    fontFamilySelect.value = state.fontFamily;
-                    fontSizeInput.value = state.fontSize;
-                    fontWeightSelect.value = state.fontWeight;
-                    document.querySelector(`input[name="imageQuality"][value="${state.imageQuality}"]`).checked = true;
-                    render();
-                    setTimeout(calculateAndSetOptimalZoom, 0); // ロード後にもズームを再計算
-                } catch (err) {
-                    alert('ファイルの読み込みに失敗しました。正しいJSONファイルを選択してください。');
-                    console.error(err);
-                }
-            };
-            reader.readAsText(file);
+            loadProjectFile(file);
             e.target.value = '';
         });
 
     }
 
+    // --- 外部連携API(genba-photo-api.js) ---
+
+    /**
+     * 項目IDと値の組を、テンプレートの項目に対応付ける(テンプレートにない項目はエラー)
+     */
+    function resolveFieldValues(fields, values) {
+        return Object.entries(values || {}).map(([id, value]) => {
+            const field = fields.find(f => f.id === id);
+            if (!field) throw new Error(`項目「${id}」はテンプレートにありません。`);
+            return [field, String(value ?? '')];
+        });
+    }
+
+    function setPhotoFieldValues(photo, values) {
+        resolveFieldValues(window.ReportTemplate.getPhotoInputFields(state.template), values)
+            .forEach(([field, value]) => window.ReportTemplate.setPhotoValue(photo, field, value));
+    }
+
+    function findPhotoById(id) {
+        const photo = state.photos.find(p => p.id === id);
+        if (!photo) throw new Error(`ID ${id} の写真がありません。`);
+        return photo;
+    }
+
+    /**
+     * 画像のBlobまたはURLを取り込み用のファイルにする
+     */
+    function toImageFile(item, index) {
+        const source = item.file
+            ? Promise.resolve(item.file)
+            : fetch(item.url).then(response => {
+                if (!response.ok) throw new Error(`画像を取得できません: ${item.url} (${response.status})`);
+                return response.blob();
+            });
+        return source.then(blob => {
+            const urlName = item.url ? decodeURIComponent(new URL(item.url, window.location.href).pathname.split('/').pop()) : '';
+            const name = item.name || blob.name || urlName || `photo${index + 1}.jpg`;
+            return new File([blob], name, { type: blob.type });
+        });
+    }
+
+    /**
+     * 現場データのBlob・ArrayBuffer・URLを読み込める形にする
+     */
+    function toProjectBlob(source) {
+        if (source instanceof Blob) return Promise.resolve(source);
+        if (source instanceof ArrayBuffer) return Promise.resolve(new Blob([source]));
+        if (typeof source === 'string') {
+            return fetch(source).then(response => {
+                if (!response.ok) throw new Error(`現場データを取得できません: ${source} (${response.status})`);
+                return response.blob();
+            });
+        }
+        return Promise.reject(new Error('現場データは Blob・ArrayBuffer・URL で指定してください。'));
+    }
+
+    /**
+     * window.GenbaPhoto のメソッドの実装(引数・戻り値は genba-photo-api.js を参照)
+     * 引数の誤りなどで途中で例外が起きても、すべてのメソッドが reject する Promise を返す
+     */
+    function createPublicApi() {
+        const methods = {
+            addPhotos(items) {
+                if (activeImport) throw new Error('写真を読み込み中です。完了してから追加してください。');
+                const list = Array.from(items || []);
+                const photoFields = window.ReportTemplate.getPhotoInputFields(state.template);
+                list.forEach(item => {
+                    if (!item || (!(item.file instanceof Blob) && typeof item.url !== 'string')) throw new Error('写真は file(Blob) か url で指定してください。');
+                    resolveFieldValues(photoFields, item.fields);
+                });
+                return Promise.all(list.map(toImageFile))
+                    .then(files => handleFiles(files, list))
+                    .then(photos => photos.map(photo => photo.id));
+            },
+
+            getPhotos() {
+                const photoFields = window.ReportTemplate.getPhotoInputFields(state.template);
+                return state.photos.map(photo => ({
+                    id: photo.id,
+                    name: photo.originalName || '',
+                    sectionId: photo.sectionId ?? null,
+                    takenAt: photo.takenAt || null,
+                    fields: Object.fromEntries(photoFields.map(field => [field.id, window.ReportTemplate.getPhotoValue(photo, field)])),
+                }));
+            },
+
+            setHeaderFields(values) {
+                resolveFieldValues(window.ReportTemplate.getHeaderInputFields(state.template), values)
+                    .forEach(([field, value]) => window.ReportTemplate.setHeaderValue(state, field, value));
+                renderHeaderFields();
+                renderPreview();
+                notifyStateChange('共通情報の入力');
+            },
+
+            setPhotoFields(id, values) {
+                setPhotoFieldValues(findPhotoById(id), values);
+                render();
+                notifyStateChange('写真の項目の入力');
+            },
+
+            movePhoto(id, index) {
+                const photo = findPhotoById(id);
+                if (!Number.isInteger(index) || index < 0 || index >= state.photos.length) {
+                    throw new Error(`移動先の位置は 0 から ${state.photos.length - 1} までの整数で指定してください。(指定された値: ${index})`);
+                }
+                // 移動先の位置にある写真と同じセクションに入れる
+                const rest = state.photos.filter(p => p !== photo);
+                const neighbor = rest[index] || rest[rest.length - 1];
+                movePhotos([photo], index, neighbor ? neighbor.sectionId ?? null : undefined);
+                render();
+                notifyStateChange('写真の移動');
+            },
+
+            removePhotos(ids) {
+                if (!Array.isArray(ids)) throw new Error('削除する写真のIDは配列で指定してください。');
+                const removing = new Set(ids);
+                deletePhotos(state.photos.filter(photo => removing.has(photo.id)));
+                render();
+                notifyStateChange('写真の削除');
+            },
+
+            getProject() {
+                return window.ProjectFormat.createProjectFile(getPersistableState());
+            },
+
+            setProject(source) {
+                return toProjectBlob(source)
+                    .then(blob => window.ProjectFormat.readProjectFile(blob))
+                    .then(openLoadedState);
+            },
+
+            print() {
+                if (!confirmRedactionBeforeOutput('印刷')) throw createCancelledError('印刷を取り消しました。');
+                return window.PreviewOutput.print();
+            },
+
+            exportPdf() {
+                if (state.photos.length === 0) throw new Error('出力する写真がありません。');
+                if (!confirmRedactionBeforeOutput('PDFを出力')) throw createCancelledError('PDFの出力を取り消しました。');
+                return window.PreviewOutput.createPdf();
+            },
+        };
+        return Object.fromEntries(Object.entries(methods).map(([name, method]) => [
+            name,
+            (...args) => new Promise(resolve => resolve(method(...args))),
+        ]));
+    }
+
     // --- 初期実行 ---
     setupEventListeners();
     initialize();
@@ -0,0 +1,285 @@
+// 電子小黒板用JavaScript
+// 写真ごとに工事名・工種・測点などの黒板を重ねる。位置と大きさは画像に対する比率で保存する
+(() => {
+    const STYLES = {
+        green: { fill: '#1f4d3a', frame: '#8b5a2b', line: '#e5e7eb', text: '#ffffff' },
+        white: { fill: '#ffffff', frame: '#111827', line: '#111827', text: '#111827' },
+    };
+    const ROW_HEIGHT_RATIO = 0.14; // 1行の高さ(黒板の幅に対する比率)
+    const KEY_COLUMN_RATIO = 0.3; // 項目名の列幅
+
+    function estimateTextWidth(text, fontSize) {
+        return Array.from(String(text)).reduce((sum, c) => sum + (c.charCodeAt(0) > 0xFF ? 1 : 0.6), 0) * fontSize;
+    }
+
+    /**
+     * 新しい黒板を作成する。工事名と撮影日は共通情報の項目と連動させる
+     */
+    function createDefault() {
+        return {
+            enabled: true,
+            style: 'green',
+            x: 0.02,
+            y: 0.6,
+            w: 0.38,
+            rows: [
+                { key: '工事名', value: '', source: 'siteName' },
+                { key: '工種', value: '' },
+                { key: '測点', value: '' },
+                { key: '撮影日', value: '', source: 'date' },
+            ],
+        };
+    }
+
+    /**
+     * 黒板の高さ(画像の高さに対する比率)
+     */
+    function getHeightRatio(board, width, height) {
+        return board.w * width * ROW_HEIGHT_RATIO * board.rows.length / height;
+    }
+
+    /**
+     * 黒板が画像からはみ出さないように大きさと位置を直す(写真の回転・切り抜きで画像の縦横比が変わったときに使う)
+     */
+    function fitToImage(board, width, height) {
+        const heightRatio = getHeightRatio(board, width, height);
+        if (heightRatio > 1) board.w /= heightRatio;
+        board.w = Math.min(1, board.w);
+        board.x = Math.min(1 - board.w, Math.max(0, board.x));
+        board.y = Math.min(1 - getHeightRatio(board, width, height), Math.max(0, board.y));
+        return board;
+    }
+
+    /**
+     * 黒板をSVG要素の文字列に変換する(座標は画像のピクセル単位)
+     * resolveSource(sourceId) は連動する共通情報の値を返す
+     */
+    function boardToSVG(board, width, height, resolveSource) {
+        const colors = STYLES[board.style] || STYLES.green;
+        const boardWidth = board.w * width;
+        const rowHeight = boardWidth * ROW_HEIGHT_RATIO;
+        const boardHeight = rowHeight * board.rows.length;
+        const x = board.x * width;
+        const y = board.y * height;
+        const frameWidth = boardWidth * 0.012;
+        const keyWidth = boardWidth * KEY_COLUMN_RATIO;
+        const baseFontSize = rowHeight * 0.5;
+
+        const fitFontSize = (text, cellWidth) => {
+            const estimated = estimateTextWidth(text, baseFontSize);
+            return estimated > cellWidth * 0.9 ? baseFontSize * cellWidth * 0.9 / estimated : baseFontSize;
+        };
+
+        let svg = `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${boardWidth.toFixed(1)}" height="${boardHeight.toFixed(1)}" fill="${colors.fill}" stroke="${colors.frame}" stroke-width="${(frameWidth * 2).toFixed(1)}"/>`;
+        svg += `<line x1="${(x + keyWidth).toFixed(1)}" y1="${y.toFixed(1)}" x2="${(x + keyWidth).toFixed(1)}" y2="${(y + boardHeight).toFixed(1)}" stroke="${colors.line}" stroke-width="${frameWidth.toFixed(1)}"/>`;
+        board.rows.forEach((row, index) => {
+            const rowTop = y + rowHeight * index;
+            if (index > 0) {
+                svg += `<line x1="${x.toFixed(1)}" y1="${rowTop.toFixed(1)}" x2="${(x + boardWidth).toFixed(1)}" y2="${rowTop.toFixed(1)}" stroke="${colors.line}" stroke-width="${frameWidth.toFixed(1)}"/>`;
+            }
+            const value = row.source ? resolveSource(row.source) : row.value;
+            const baseline = rowTop + rowHeight * 0.68;
+            const keyFont = fitFontSize(row.key, keyWidth);
+            const valueFont = fitFontSize(value, boardWidth - keyWidth);
+            svg += `<text x="${(x + keyWidth * 0.06).toFixed(1)}" y="${baseline.toFixed(1)}" fill="${colors.text}" font-size="${keyFont.toFixed(1)}" font-weight="bold">${window.DomUtils.escapeHtml(row.key)}</text>`;
+            svg += `<text x="${(x + keyWidth + keyWidth * 0.06).toFixed(1)}" y="${baseline.toFixed(1)}" fill="${colors.text}" font-size="${valueFont.toFixed(1)}">${window.DomUtils.escapeHtml(value)}</text>`;
+        });
+        return svg;
+    }
+
+    /**
+     * 写真に重ねる黒板のSVGを生成する(無効な場合は空文字)
+     */
+    function renderSVG(board, width, height, resolveSource, className = 'annotation-layer') {
+        if (!board || !board.enabled || !width || !height) return '';
+        return `<svg class="${className}" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><g class="blackboard">${boardToSVG(board, width, height, resolveSource)}</g></svg>`;
+    }
+
+    /**
+     * 黒板を画像に焼き込んだJPEGのデータURLを返す
+     */
+    function bakeImage(image, board, resolveSource, quality = 0.92) {
+        const svg = renderSVG(board, image.width, image.height, resolveSource, '')
+            .replace('<svg ', `<svg width="${image.width}" height="${image.height}" font-family="sans-serif" `);
+        const load = (src) => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+        return Promise.all([load(image.url), load(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`)]).then(([photo, overlay]) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(photo, 0, 0, image.width, image.height);
+            ctx.drawImage(overlay, 0, 0, image.width, image.height);
+            return canvas.toDataURL('image/jpeg', quality);
+        });
+    }
+
+    // --- 編集画面 ---
+
+    let editor = null;
+
+    function setupEditor() {
+        const modal = document.getElementById('blackboard-modal');
+        const stage = document.getElementById('blackboard-stage');
+        const image = document.getElementById('blackboard-image');
+        const overlay = document.getElementById('blackboard-overlay');
+        const enabledInput = document.getElementById('blackboard-enabled');
+        const styleSelect = document.getElementById('blackboard-style');
+        const sizeInput = document.getElementById('blackboard-size');
+        const rowList = document.getElementById('blackboard-rows');
+
+        const instance = { photo: null, image: null, board: null, context: null, drag: null, onSave: null };
+
+        const redraw = () => {
+            const { width, height } = instance.image;
+            overlay.innerHTML = renderSVG({ ...instance.board, enabled: true }, width, height, instance.context.resolveSource);
+            overlay.style.opacity = instance.board.enabled ? '1' : '0.3';
+        };
+
+        // 黒板が画像からはみ出さないように位置(必要なら大きさ)を直す
+        const fitBoard = () => {
+            fitToImage(instance.board, instance.image.width, instance.image.height);
+            sizeInput.value = Math.round(instance.board.w * 100);
+        };
+
+        const sourceOptions = (row) => ['', ...instance.context.sources.map(source => source.id)]
+            .map(id => {
+                const label = id ? `${instance.context.sources.find(source => source.id === id).label}と連動` : '手入力';
+                return `<option value="${id}" ${id === (row.source || '') ? 'selected' : ''}>${label}</option>`;
+            }).join('');
+
+        const renderRows = () => {
+            rowList.innerHTML = instance.board.rows.map((row, index) => `
+                <div class="flex items-center gap-2" data-index="${index}">
+                    <input type="text" data-prop="key" value="${window.DomUtils.escapeHtml(row.key)}" class="rounded-md text-sm p-1 input-highlight blackboard-key" placeholder="項目">
+                    <input type="text" data-prop="value" value="${window.DomUtils.escapeHtml(row.value)}" class="flex-1 rounded-md text-sm p-1 input-highlight ${row.source ? 'hidden' : ''}" placeholder="内容">
+                    <select data-prop="source" class="rounded-md text-sm input-highlight ${row.source ? 'flex-1' : ''}">${sourceOptions(row)}</select>
+                    <button type="button" data-action="remove" class="px-2 border rounded-md text-sm text-red-500">削除</button>
+                </div>`).join('');
+        };
+
+        const fitStage = () => {
+            const wrapper = stage.parentElement;
+            const { width, height } = instance.image;
+            const ratio = Math.min(wrapper.clientWidth / width, wrapper.clientHeight / height);
+            stage.style.width = `${width * ratio}px`;
+            stage.style.height = `${height * ratio}px`;
+        };
+
+        const close = () => {
+            modal.classList.add('hidden');
+            instance.photo = null;
+        };
+
+        rowList.addEventListener('input', e => {
+            const row = instance.board.rows[Number(e.target.closest('[data-index]').dataset.index)];
+            const prop = e.target.dataset.prop;
+            row[prop] = e.target.value || (prop === 'source' ? undefined : '');
+            if (prop === 'source') renderRows();
+            redraw();
+        });
+
+        rowList.addEventListener('click', e => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (!button) return;
+            instance.board.rows.splice(Number(button.closest('[data-index]').dataset.index), 1);
+            renderRows();
+            redraw();
+        });
+
+        document.getElementById('blackboard-add-row').addEventListener('click', () => {
+            instance.board.rows.push({ key: '', value: '' });
+            fitBoard();
+            renderRows();
+            redraw();
+        });
+
+        enabledInput.addEventListener('change', () => { instance.board.enabled = enabledInput.checked; redraw(); });
+        styleSelect.addEventListener('change', () => { instance.board.style = styleSelect.value; redraw(); });
+        sizeInput.addEventListener('input', () => {
+            instance.board.w = Number(sizeInput.value) / 100;
+            fitBoard();
+            redraw();
+        });
+
+        // 黒板をドラッグして移動する
+        overlay.addEventListener('pointerdown', e => {
+            if (!e.target.closest('.blackboard')) return;
+            e.preventDefault();
+            overlay.setPointerCapture(e.pointerId);
+            instance.drag = { startX: e.clientX, startY: e.clientY, x: instance.board.x, y: instance.board.y };
+        });
+
+        overlay.addEventListener('pointermove', e => {
+            if (!instance.drag) return;
+            const rect = overlay.getBoundingClientRect();
+            const { board } = instance;
+            board.x = instance.drag.x + (e.clientX - instance.drag.startX) / rect.width;
+            board.y = instance.drag.y + (e.clientY - instance.drag.startY) / rect.height;
+            // 黒板の下端が画像の下からはみ出さないようにする
+            fitBoard();
+            redraw();
+        });
+
+        overlay.addEventListener('pointerup', () => { instance.drag = null; });
+
+        document.getElementById('blackboard-cancel').addEventListener('click', close);
+
+        document.getElementById('blackboard-save').addEventListener('click', () => {
+            const { photo, board, onSave } = instance;
+            const applyToAll = document.getElementById('blackboard-apply-all').checked;
+            close();
+            onSave(photo, board, applyToAll);
+        });
+
+        document.getElementById('blackboard-bake').addEventListener('click', () => {
+            const { image: displayImage, board, context } = instance;
+            bakeImage(displayImage, { ...board, enabled: true }, context.resolveSource).then(url => {
+                window.DomUtils.downloadUrl(url, context.bakeFileName || '黒板入り写真.jpg');
+            }).catch(err => {
+                console.error('Blackboard bake failed:', err);
+                alert('黒板入りの写真を作成できませんでした。画像を読み込めません。');
+            });
+        });
+
+        window.addEventListener('resize', () => {
+            if (instance.photo) fitStage();
+        });
+
+        instance.open = (photo, displayImage, context, onSave) => {
+            instance.photo = photo;
+            instance.image = displayImage;
+            instance.context = context;
+            instance.onSave = onSave;
+            instance.board = JSON.parse(JSON.stringify(photo.blackboard || createDefault()));
+            if (!photo.blackboard) instance.board.enabled = true;
+            enabledInput.checked = instance.board.enabled;
+            styleSelect.value = instance.board.style;
+            sizeInput.value = Math.round(instance.board.w * 100);
+            document.getElementById('blackboard-apply-all').checked = false;
+            image.src = displayImage.url;
+            modal.classList.remove('hidden');
+            fitStage();
+            renderRows();
+            redraw();
+        };
+
+        return instance;
+    }
+
+    /**
+     * 黒板の編集画面を開く
+     * context: { sources: 連動できる共通情報の項目 [{ id, label }], resolveSource(id), bakeFileName: 焼き込み画像のファイル名 }
+     * 保存時に onSave(photo, board, applyToAll) が呼ばれる
+     */
+    function open(photo, displayImage, context, onSave) {
+        if (!editor) editor = setupEditor();
+        editor.open(photo, displayImage, context, onSave);
+    }
+
+    window.Blackboard = { createDefault, renderSVG, bakeImage, open, fitToImage };
+})();
@@ -0,0 +1,30 @@
+// 共通処理用JavaScript
+// 画面に埋め込む文字のエスケープと、作成したファイルのダウンロードを各機能で共通に使う
+(() => {
+    /**
+     * HTML・SVG・XMLに埋め込む文字列をエスケープする。属性値(" ' どちらで囲んでも)にもそのまま使える
+     */
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    /**
+     * URL(data URL・blob URL)のファイルをダウンロードさせる
+     */
+    function downloadUrl(url, fileName) {
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+    }
+
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        downloadUrl(url, fileName);
+        URL.revokeObjectURL(url);
+    }
+
+    window.DomUtils = { escapeHtml, downloadUrl, downloadBlob };
+})();
@@ -0,0 +1,124 @@
+// EXIF読み取り用JavaScript
+// JPEGのAPP1(Exif)セグメントから撮影日時・向き・GPS・機種を取り出す
+(() => {
+    const TAG_ORIENTATION = 0x0112;
+    const TAG_MODEL = 0x0110;
+    const TAG_EXIF_IFD = 0x8769;
+    const TAG_GPS_IFD = 0x8825;
+    const TAG_DATETIME_ORIGINAL = 0x9003;
+    const TAG_GPS_LAT_REF = 0x0001;
+    const TAG_GPS_LAT = 0x0002;
+    const TAG_GPS_LON_REF = 0x0003;
+    const TAG_GPS_LON = 0x0004;
+
+    const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    /**
+     * IFDを読み取り、タグ番号をキーにした値のマップを返す
+     */
+    function readIfd(view, tiffStart, ifdOffset, littleEndian) {
+        const entries = {};
+        const start = tiffStart + ifdOffset;
+        if (start + 2 > view.byteLength) return entries;
+        const count = view.getUint16(start, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entryOffset = start + 2 + i * 12;
+            if (entryOffset + 12 > view.byteLength) break;
+            const tag = view.getUint16(entryOffset, littleEndian);
+            const type = view.getUint16(entryOffset + 2, littleEndian);
+            const numValues = view.getUint32(entryOffset + 4, littleEndian);
+            const size = (TYPE_SIZES[type] || 1) * numValues;
+            const valueOffset = size > 4
+                ? tiffStart + view.getUint32(entryOffset + 8, littleEndian)
+                : entryOffset + 8;
+            if (valueOffset + size > view.byteLength) continue;
+            entries[tag] = readValue(view, type, numValues, valueOffset, littleEndian);
+        }
+        return entries;
+    }
+
+    function readValue(view, type, numValues, offset, littleEndian) {
+        switch (type) {
+            case 2: { // ASCII
+                let str = '';
+                for (let i = 0; i < numValues; i++) {
+                    const c = view.getUint8(offset + i);
+                    if (c === 0) break;
+                    str += String.fromCharCode(c);
+                }
+                return str.trim();
+            }
+            case 3: return numValues === 1 ? view.getUint16(offset, littleEndian) : null;
+            case 4: return numValues === 1 ? view.getUint32(offset, littleEndian) : null;
+            case 5: { // RATIONAL
+                const values = [];
+                for (let i = 0; i < numValues; i++) {
+                    const num = view.getUint32(offset + i * 8, littleEndian);
+                    const den = view.getUint32(offset + i * 8 + 4, littleEndian);
+                    values.push(den ? num / den : 0);
+                }
+                return values;
+            }
+            default: return null;
+        }
+    }
+
+    /**
+     * "2024:05:01 10:32:00" 形式をローカル時刻のISO文字列(秒まで)に変換
+     */
+    function parseExifDate(value) {
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+        if (!match) return null;
+        return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    }
+
+    function toDecimalDegrees(dms, ref) {
+        if (!Array.isArray(dms) || dms.length < 3) return null;
+        const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+        return (ref === 'S' || ref === 'W') ? -degrees : degrees;
+    }
+
+    /**
+     * JPEGのArrayBufferからEXIF情報を取り出す
+     * 取得できない項目はnull、Orientationは既定で1を返す
+     */
+    function readExif(buffer) {
+        const result = { orientation: 1, takenAt: null, gps: null, cameraModel: null };
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return result;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+                const tiffStart = offset + 10;
+                const littleEndian = view.getUint16(tiffStart) === 0x4949;
+                const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+
+                if (ifd0[TAG_ORIENTATION]) result.orientation = ifd0[TAG_ORIENTATION];
+                if (ifd0[TAG_MODEL]) result.cameraModel = ifd0[TAG_MODEL];
+
+                if (ifd0[TAG_EXIF_IFD]) {
+                    const exifIfd = readIfd(view, tiffStart, ifd0[TAG_EXIF_IFD], littleEndian);
+                    result.takenAt = parseExifDate(exifIfd[TAG_DATETIME_ORIGINAL]);
+                }
+
+                if (ifd0[TAG_GPS_IFD]) {
+                    const gpsIfd = readIfd(view, tiffStart, ifd0[TAG_GPS_IFD], littleEndian);
+                    const latitude = toDecimalDegrees(gpsIfd[TAG_GPS_LAT], gpsIfd[TAG_GPS_LAT_REF]);
+                    const longitude = toDecimalDegrees(gpsIfd[TAG_GPS_LON], gpsIfd[TAG_GPS_LON_REF]);
+                    if (latitude !== null && longitude !== null) {
+                        result.gps = { latitude, longitude };
+                    }
+                }
+                return result;
+            }
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // SOS以降は画像データ
+            offset += 2 + length;
+        }
+        return result;
+    }
+
+    window.ExifReader = { readExif };
+})();
@@ -0,0 +1,123 @@
+// 外部連携API用JavaScript
+// 社内システムなどから window.GenbaPhoto で写真の追加・項目の入力・現場データの読み書き・印刷を行えるようにする
+//
+// メソッド(すべて Promise を返す。アプリの起動が終わるまで待ってから実行する)
+//   引数の誤りや失敗は reject で伝える。利用者が確認の画面などで取り消した場合は、エラーの cancelled が true になる
+//   addPhotos(items)            写真を追加する → 追加した写真のIDの配列
+//                               items: [{ file: Blob または url: 画像のURL, name: ファイル名, takenAt: 撮影日時(ISO形式),
+//                                         fields: { location, comment, テンプレートで追加した項目のID: 値 } }]
+//   getPhotos()                 写真の一覧 → [{ id, name, sectionId, takenAt, fields }]
+//   setHeaderFields(values)     共通情報を入力する。values: { siteName, personName, date(YYYY-MM-DD), 追加した項目のID: 値 }
+//   setPhotoFields(id, values)  写真ごとの項目を入力する。values は addPhotos の fields と同じ
+//   movePhoto(id, index)        写真を index 番目(0から写真の枚数-1まで)に移動する
+//   removePhotos(ids)           写真を削除する
+//   getProject()                現場データファイル(ZIP)を Blob で返す
+//   setProject(source)          現場データを開く。source: Blob / ArrayBuffer / 現場データファイルのURL
+//   print()                     すべてのページの画像を読み込んでから印刷ダイアログを開く
+//   exportPdf()                 PDFを作成して Blob で返す
+//
+// イベント(GenbaPhoto.addEventListener で受け取る。内容は event.detail)
+//   ready        アプリの起動が終わったとき
+//   photoadded   写真が追加されたとき { id, name }
+//   statechange  内容が変更されたとき(元に戻す・やり直しを含む) { label }
+//   beforeprint  印刷・PDF出力の直前 { type: 'print' | 'pdf' }
+//
+// iframe に埋め込んだ場合
+//   親ページから { type: 'genba-photo:call', id, method, args } を postMessage すると、
+//   { type: 'genba-photo:result', id, result } (失敗時は error にメッセージ、取り消した場合は cancelled: true も)を返す
+//   起動時に { type: 'genba-photo:ready' }、イベントごとに { type: 'genba-photo:event', name, detail } を親ページに送る
+//   受け付ける相手は同じオリジンと <meta name="genba-photo-allowed-origins"> に列挙したオリジンだけ
+//   URLに ?project=<現場データファイルのURL> を付けて開くと、起動時にそのファイルを読み込む(許可したオリジンのみ)
+(() => {
+    const MESSAGE_PREFIX = 'genba-photo:';
+    const METHODS = ['addPhotos', 'getPhotos', 'setHeaderFields', 'setPhotoFields', 'movePhoto', 'removePhotos',
+        'getProject', 'setProject', 'print', 'exportPdf'];
+
+    const api = new EventTarget();
+    let app = null;
+    let resolveReady;
+    const ready = new Promise(resolve => { resolveReady = resolve; });
+
+    /**
+     * postMessage・現場データのURLを受け付けるオリジン
+     */
+    function getAllowedOrigins() {
+        const meta = document.querySelector('meta[name="genba-photo-allowed-origins"]');
+        const origins = meta ? meta.content.split(/[\s,]+/).filter(Boolean) : [];
+        // file:// で開いた場合のオリジン("null")はどのページからも名乗れるため許可しない
+        return [window.location.origin, ...origins].filter(origin => origin !== 'null');
+    }
+
+    function isAllowedUrl(url) {
+        try {
+            return getAllowedOrigins().includes(new URL(url, window.location.href).origin);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * 許可したオリジンの親ページにメッセージを送る(埋め込まれていなければ何もしない)
+     */
+    function postToParent(message) {
+        if (window.parent === window) return;
+        getAllowedOrigins().forEach(origin => window.parent.postMessage(message, origin));
+    }
+
+    METHODS.forEach(method => {
+        api[method] = (...args) => ready.then(() => app[method](...args));
+    });
+
+    /**
+     * アプリの起動が終わるまで待つ
+     */
+    api.whenReady = () => ready;
+
+    /**
+     * イベントを発行する(アプリ本体が呼び出す)
+     */
+    api.emit = (type, detail = {}) => {
+        api.dispatchEvent(new CustomEvent(type, { detail }));
+        postToParent({ type: `${MESSAGE_PREFIX}event`, name: type, detail });
+    };
+
+    /**
+     * メソッドの実装を登録して受付を始める(アプリ本体が起動の最後に呼び出す)
+     */
+    api.connectApp = (implementation) => {
+        app = implementation;
+        resolveReady();
+        api.emit('ready');
+        postToParent({ type: `${MESSAGE_PREFIX}ready` });
+
+        const projectUrl = new URL(window.location.href).searchParams.get('project');
+        if (!projectUrl) return;
+        if (!isAllowedUrl(projectUrl)) {
+            console.warn('Project URL is not allowed:', projectUrl);
+            return;
+        }
+        app.setProject(projectUrl).catch(err => {
+            if (err.cancelled) return; // 取り消した理由は確認の画面で伝え済み
+            console.error(err);
+            alert(`現場データを読み込めませんでした。\n${err.message}`);
+        });
+    };
+
+    window.addEventListener('message', e => {
+        const message = e.data;
+        if (!message || message.type !== `${MESSAGE_PREFIX}call`) return;
+        if (!getAllowedOrigins().includes(e.origin)) {
+            console.warn('Message from an unknown origin was ignored:', e.origin);
+            return;
+        }
+        const reply = (body) => e.source.postMessage({ type: `${MESSAGE_PREFIX}result`, id: message.id, ...body }, e.origin);
+        if (!METHODS.includes(message.method)) {
+            reply({ error: `${message.method} というメソッドはありません。` });
+            return;
+        }
+        api[message.method](...(Array.isArray(message.args) ? message.args : []))
+            .then(result => reply({ result }), err => reply({ error: err.message, ...(err.cancelled ? { cancelled: true } : {}) }));
+    });
+
+    window.GenbaPhoto = api;
+})();
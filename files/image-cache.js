@@ -0,0 +1,84 @@
+// 画像キャッシュ用JavaScript
+// 写真のdata URLに短いキーを割り当て、写真リスト用の縮小画像(Blob)を作成・保持する
+(() => {
+    const THUMBNAIL_SIZE = 192; // 縮小画像の長辺(px)
+    const THUMBNAIL_CONCURRENCY = 2;
+
+    const keysByUrl = new Map();
+    const urlsByKey = new Map();
+    const thumbnails = new Map(); // キー → Promise<オブジェクトURL>
+    const thumbnailQueue = [];
+    let activeThumbnailCount = 0;
+    let lastKey = 0;
+
+    /**
+     * data URL に対応する短いキーを返す
+     * HTML文字列には巨大なdata URLを埋め込まず、このキーで画像を参照する
+     */
+    function getImageKey(url) {
+        if (!keysByUrl.has(url)) {
+            const key = `img${++lastKey}`;
+            keysByUrl.set(url, key);
+            urlsByKey.set(key, url);
+        }
+        return keysByUrl.get(url);
+    }
+
+    function getImageUrl(key) {
+        return urlsByKey.get(key) || '';
+    }
+
+    function runThumbnailQueue() {
+        while (activeThumbnailCount < THUMBNAIL_CONCURRENCY && thumbnailQueue.length > 0) {
+            const task = thumbnailQueue.shift();
+            activeThumbnailCount++;
+            task().finally(() => {
+                activeThumbnailCount--;
+                runThumbnailQueue();
+            });
+        }
+    }
+
+    /**
+     * 写真リスト用の縮小画像のオブジェクトURLを返す(作成は同時に2件まで)
+     * 縮小できない場合は元の画像をそのまま使う
+     */
+    function getThumbnailUrl(key) {
+        if (!thumbnails.has(key)) {
+            thumbnails.set(key, new Promise(resolve => {
+                thumbnailQueue.push(() => fetch(getImageUrl(key))
+                    .then(response => response.blob())
+                    .then(blob => window.ImageResizer.resizeImage(blob, { maxDimension: THUMBNAIL_SIZE, quality: 0.8, output: 'blob' }))
+                    .then(result => resolve(URL.createObjectURL(result.blob)))
+                    .catch(err => {
+                        console.warn('Thumbnail creation failed:', err);
+                        resolve(getImageUrl(key));
+                    }));
+                runThumbnailQueue();
+            }));
+        }
+        return thumbnails.get(key);
+    }
+
+    /**
+     * 使われなくなった画像のキーと縮小画像を破棄する
+     * activeUrls: 現在の写真が使っている data URL の一覧
+     */
+    function prune(activeUrls) {
+        const active = new Set(activeUrls);
+        keysByUrl.forEach((key, url) => {
+            if (active.has(url)) return;
+            keysByUrl.delete(url);
+            urlsByKey.delete(key);
+            const thumbnail = thumbnails.get(key);
+            if (thumbnail) {
+                thumbnails.delete(key);
+                thumbnail.then(thumbnailUrl => {
+                    if (thumbnailUrl.startsWith('blob:')) URL.revokeObjectURL(thumbnailUrl);
+                });
+            }
+        });
+    }
+
+    window.ImageCache = { getImageKey, getImageUrl, getThumbnailUrl, prune };
+})();
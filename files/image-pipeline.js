@@ -0,0 +1,180 @@
+// 写真取り込み用JavaScript
+// 複数の画像ファイルを同時実行数を制限して縮小し、選択した順番どおりに結果を返す
+(() => {
+    const WORKER_URL = 'files/image-resizer.js';
+    const DEFAULT_CONCURRENCY = 2;
+
+    /**
+     * 縮小できないファイルの理由を返す(問題がなければ null)
+     */
+    function getUnsupportedReason(file) {
+        if (/^image\/hei[cf]/i.test(file.type) || /\.(heic|heif)$/i.test(file.name)) {
+            return 'HEIC形式には対応していません。JPEGに変換するか、カメラの保存形式を「互換性優先」にしてください。';
+        }
+        if (!file.type.startsWith('image/')) return '画像ファイルではありません。';
+        return null;
+    }
+
+    function readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    const pageResizer = {
+        resize: (file, options) => window.ImageResizer.resizeImage(file, options),
+        terminate() {},
+    };
+
+    /**
+     * Web Workerで縮小処理を行う。Workerを起動できない環境(file://で開いた場合など)ではページ内で処理する
+     */
+    function createResizer() {
+        if (typeof Worker === 'undefined') return pageResizer;
+        let worker;
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (err) {
+            return pageResizer;
+        }
+        const pending = new Map();
+        let lastTaskId = 0;
+        let unavailable = false;
+
+        worker.onmessage = (e) => {
+            const task = pending.get(e.data.id);
+            if (!task) return;
+            pending.delete(e.data.id);
+            if (e.data.retryInPage) {
+                // Workerでは写真の向きを正しく扱えないブラウザなので、以降はページ内で処理する
+                unavailable = true;
+                task.retry();
+            } else if (e.data.error) {
+                task.reject(new Error(e.data.error));
+            } else {
+                task.resolve(e.data);
+            }
+        };
+        // スクリプトを読み込めないなど、Worker自体が動作しない場合はページ内の処理に切り替える
+        worker.onerror = (e) => {
+            e.preventDefault();
+            if (!unavailable) console.warn('Image worker is unavailable. Resizing images on the main thread.', e.message);
+            unavailable = true;
+            pending.forEach(task => task.retry());
+            pending.clear();
+        };
+
+        return {
+            resize(file, options) {
+                if (unavailable) return pageResizer.resize(file, options);
+                return new Promise((resolve, reject) => {
+                    const id = ++lastTaskId;
+                    pending.set(id, { resolve, reject, retry: () => pageResizer.resize(file, options).then(resolve, reject) });
+                    worker.postMessage({ id, file, options });
+                });
+            },
+            terminate() {
+                worker.terminate();
+                pending.forEach(task => task.reject(new Error('中止しました。')));
+                pending.clear();
+            },
+        };
+    }
+
+    /**
+     * 画像ファイルを縮小する
+     * options: { maxDimension, quality, concurrency, keepSource, readExif(file) => Promise<exif> }
+     *   keepSource: JPEGファイルは縮小前の元のファイルも data URL で返す(電子納品用)
+     * handlers.onProgress(done, total): 1件終わるごとに呼ばれる
+     * handlers.onResult(result): 選択した順番どおりに呼ばれる
+     *   result は { file, index, exif, image: { url, width, height }, source } または失敗時 { file, index, error }
+     *   onResult で例外が起きたファイルは、戻り値の promise の結果の failures に { file, index, error } として入る
+     * 戻り値の cancel() で中止すると、未処理・処理中のファイルは結果に含めない
+     */
+    function importFiles(files, options, handlers) {
+        const list = Array.from(files);
+        const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        const maxBuffered = concurrency * 4; // 前のファイルを待っている結果の上限(メモリ使用量を抑える)
+        const results = new Map();
+        const failures = []; // onResult で例外が起きたファイル
+        const waiters = [];
+        let nextIndex = 0;
+        let nextEmitIndex = 0;
+        let doneCount = 0;
+        let cancelled = false;
+
+        const wakeWaiters = () => waiters.splice(0).forEach(resolve => resolve());
+
+        const emitInOrder = () => {
+            while (results.has(nextEmitIndex)) {
+                const result = results.get(nextEmitIndex);
+                results.delete(nextEmitIndex);
+                nextEmitIndex++;
+                if (cancelled) continue;
+                try {
+                    handlers.onResult(result);
+                } catch (err) {
+                    console.error('Import result handler failed:', err);
+                    failures.push({ file: result.file, index: result.index, error: err.message });
+                }
+            }
+            wakeWaiters();
+        };
+
+        const processFile = async (file, index, resizer) => {
+            const reason = getUnsupportedReason(file);
+            if (reason) return { file, index, error: reason };
+            try {
+                const exif = await options.readExif(file);
+                const image = await resizer.resize(file, {
+                    maxDimension: options.maxDimension,
+                    quality: options.quality,
+                });
+                const source = options.keepSource && file.type === 'image/jpeg' ? await readAsDataUrl(file) : null;
+                return { file, index, exif, image, source };
+            } catch (err) {
+                return { file, index, error: err.message };
+            }
+        };
+
+        const runSlot = async (resizer) => {
+            while (!cancelled && nextIndex < list.length) {
+                if (nextIndex - nextEmitIndex >= maxBuffered) {
+                    await new Promise(resolve => waiters.push(resolve));
+                    continue;
+                }
+                const index = nextIndex++;
+                const result = await processFile(list[index], index, resizer);
+                doneCount++;
+                results.set(index, result);
+                if (!cancelled) handlers.onProgress(doneCount, list.length);
+                emitInOrder();
+            }
+        };
+
+        const resizers = Array.from({ length: Math.min(concurrency, list.length) }, createResizer);
+        const promise = Promise.all(resizers.map(runSlot))
+            .then(() => ({ cancelled, total: list.length, failures }))
+            .catch(err => {
+                // 1つの処理が失敗したら、ほかの処理も止めて待機中の処理を起こす
+                cancelled = true;
+                wakeWaiters();
+                throw err;
+            })
+            .finally(() => resizers.forEach(resizer => resizer.terminate()));
+
+        return {
+            promise,
+            cancel() {
+                cancelled = true;
+                resizers.forEach(resizer => resizer.terminate());
+                wakeWaiters();
+            },
+        };
+    }
+
+    window.ImagePipeline = { importFiles };
+})();
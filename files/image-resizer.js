@@ -0,0 +1,107 @@
+// 画像縮小用JavaScript
+// 写真のデコード・縮小・JPEG変換を行う。Web Workerとしても、ページ内でも動作する
+// EXIFの向き(Orientation)はデコード時にブラウザに適用させ、自前では回転しない(二重に回転させないため)
+(() => {
+    const isWorker = typeof document === 'undefined';
+
+    // createImageBitmap が imageOrientation: 'from-image' に対応していない(古いブラウザ)
+    const ORIENTATION_UNSUPPORTED = 'orientation-unsupported';
+
+    function createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    function canvasToJpeg(canvas, quality) {
+        if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/jpeg', quality });
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('JPEGに変換できません。'))), 'image/jpeg', quality);
+        });
+    }
+
+    function blobToDataUrl(blob) {
+        if (typeof FileReaderSync !== 'undefined') return Promise.resolve(new FileReaderSync().readAsDataURL(blob));
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * <img>で画像ファイルをデコードする(ページ内のみ)。<img>はEXIFの向きを適用して読み込む
+     */
+    function decodeWithImageElement(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('decode failed'));
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * 画像ファイルをEXIFの向きを適用してデコードする
+     * createImageBitmap が向きの指定に対応していなければ<img>で読み込む(Workerでは ORIENTATION_UNSUPPORTED で失敗する)
+     */
+    async function decodeImage(file) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                return await createImageBitmap(file, { imageOrientation: 'from-image' });
+            } catch (err) {
+                // 対応していない値は TypeError になる。それ以外はファイルが壊れている
+                if (!(err instanceof TypeError)) throw err;
+            }
+        }
+        if (isWorker) throw new Error(ORIENTATION_UNSUPPORTED);
+        return decodeWithImageElement(file);
+    }
+
+    /**
+     * 画像を長辺 maxDimension 以内に縮小し、JPEGの data URL にする(output: 'blob' の場合は Blob)
+     */
+    async function resizeImage(file, { maxDimension, quality, output = 'dataUrl' }) {
+        let image;
+        try {
+            image = await decodeImage(file);
+        } catch (err) {
+            if (err.message === ORIENTATION_UNSUPPORTED) throw err;
+            throw new Error('画像を読み込めません。ファイルが壊れているか、対応していない形式です。');
+        }
+        try {
+            const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+            const width = Math.round(image.width * scale);
+            const height = Math.round(image.height * scale);
+            const canvas = createCanvas(width, height);
+            canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+            const blob = await canvasToJpeg(canvas, quality);
+            if (output === 'blob') return { blob, width: canvas.width, height: canvas.height };
+            return { url: await blobToDataUrl(blob), width: canvas.width, height: canvas.height };
+        } finally {
+            if (image.close) image.close(); // デコードした画像のメモリをすぐに解放する
+        }
+    }
+
+    if (isWorker) {
+        self.onmessage = (e) => {
+            const { id, file, options } = e.data;
+            resizeImage(file, options).then(
+                result => self.postMessage({ id, ...result }),
+                err => self.postMessage({ id, error: err.message, retryInPage: err.message === ORIENTATION_UNSUPPORTED })
+            );
+        };
+    } else {
+        window.ImageResizer = { resizeImage };
+    }
+})();
@@ -0,0 +1,54 @@
+// アプリのインストール・オフライン対応用JavaScript
+// Service Worker を登録し、共有メニューから送られた写真・ファイルの関連付けで開かれた現場データを受け取る
+(() => {
+    const SERVICE_WORKER_URL = 'sw.js';
+    const SHARED_CACHE_NAME = 'genba-photo-shared'; // sw.js と同じ名前
+    const SHARED_PARAM = 'shared';
+
+    /**
+     * Service Worker を登録する。file:// で開いた場合など、使えない環境では何もしない
+     */
+    function register() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .catch(err => console.warn('Service worker registration failed:', err));
+    }
+
+    /**
+     * 共有メニューから送られた写真を取り出す(取り出した写真はキャッシュから削除する)
+     * 共有で開かれたのでなければ空の配列を返す
+     */
+    async function takeSharedFiles() {
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has(SHARED_PARAM) || !window.caches) return [];
+        // 再読み込みで同じ写真を二重に取り込まないよう、URLから目印を消しておく
+        url.searchParams.delete(SHARED_PARAM);
+        history.replaceState(null, '', url.href);
+
+        const cache = await caches.open(SHARED_CACHE_NAME);
+        const requests = await cache.keys();
+        const files = await Promise.all(requests.map(async request => {
+            const response = await cache.match(request);
+            const blob = await response.blob();
+            const name = decodeURIComponent(response.headers.get('X-File-Name') || '') || 'photo.jpg';
+            return { index: parseInt(request.url.split('/').pop(), 10), file: new File([blob], name, { type: blob.type }) };
+        }));
+        await caches.delete(SHARED_CACHE_NAME);
+        return files.sort((a, b) => a.index - b.index).map(item => item.file);
+    }
+
+    /**
+     * OSのファイルの関連付け(File Handling)でアプリが開かれたときに、開いたファイルを受け取る
+     */
+    function onLaunchFiles(callback) {
+        if (!('launchQueue' in window)) return;
+        window.launchQueue.setConsumer(params => {
+            if (!params.files || params.files.length === 0) return;
+            Promise.all(params.files.map(handle => handle.getFile()))
+                .then(callback)
+                .catch(err => console.warn('Failed to open the launched file:', err));
+        });
+    }
+
+    window.OfflineApp = { register, takeSharedFiles, onLaunchFiles };
+})();
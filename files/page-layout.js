@@ -0,0 +1,97 @@
+// ページレイアウト用JavaScript
+// 1ページの写真の並び(行×列)とキャプションの位置を定義する。プレビュー・印刷・PDFで共通に使う
+(() => {
+    // rows / columns は用紙の向きごとの [行, 列]。captionPosition があるレイアウトは選択時にその位置にする
+    // comparison があるレイアウトは比較写真用で、[行, 列] は写真の組の並び。組の写真は row なら横に、column なら縦に並べる
+    const PRESETS = {
+        'grid-1': { label: '1枚', portrait: [1, 1], landscape: [1, 1] },
+        'grid-2': { label: '2枚', portrait: [2, 1], landscape: [1, 2] },
+        'grid-3': { label: '3枚', portrait: [3, 1], landscape: [1, 3] },
+        'grid-4': { label: '4枚', portrait: [2, 2], landscape: [2, 2] },
+        'grid-6': { label: '6枚', portrait: [3, 2], landscape: [2, 3] },
+        'grid-8': { label: '8枚', portrait: [4, 2], landscape: [2, 4] },
+        'ledger-3': { label: '工事写真帳（3段・右に説明表）', portrait: [3, 1], landscape: [3, 1], captionPosition: 'side' },
+        'ledger-2': { label: '工事写真帳（2段・右に説明表）', portrait: [2, 1], landscape: [2, 1], captionPosition: 'side' },
+        'compare-row': { label: '比較（組ごとに横並び）', portrait: [3, 1], landscape: [2, 1], comparison: 'row' },
+        'compare-column': { label: '比較（組ごとに縦並び）', portrait: [1, 2], landscape: [1, 3], comparison: 'column' },
+        custom: { label: 'カスタム（行×列を指定）' },
+    };
+
+    const CAPTION_POSITIONS = {
+        top: '写真の上',
+        bottom: '写真の下',
+        side: '右側に説明表',
+    };
+
+    const MAX_CUSTOM_CELLS = 6; // カスタムの行・列の上限
+
+    function createDefaultLayout() {
+        return { id: 'grid-4', rows: 2, columns: 2, captionPosition: 'top' };
+    }
+
+    /**
+     * 旧形式の「1ページの写真枚数」からレイアウトを作成する
+     */
+    function fromPhotosPerPage(photosPerPage) {
+        const id = `grid-${photosPerPage}`;
+        return { ...createDefaultLayout(), id: PRESETS[id] ? id : 'grid-4' };
+    }
+
+    function clampCellCount(value) {
+        return Math.min(MAX_CUSTOM_CELLS, Math.max(1, parseInt(value, 10) || 1));
+    }
+
+    /**
+     * レイアウト設定を、用紙の向きに応じた行数・列数・キャプション位置に変換する
+     * override: ページごとのレイアウト指定({ id })。キャプション位置はレイアウト固有の指定がなければ既定の設定に従う
+     */
+    function resolveLayout(layout, orientation, override = null) {
+        const setting = override ? { ...layout, id: override.id } : layout;
+        const preset = PRESETS[setting.id] || PRESETS['grid-4'];
+        const [rows, columns] = setting.id === 'custom'
+            ? [clampCellCount(setting.rows), clampCellCount(setting.columns)]
+            : preset[orientation === 'landscape' ? 'landscape' : 'portrait'];
+        const captionPosition = (override && preset.captionPosition) || setting.captionPosition || preset.captionPosition || 'top';
+        return { id: setting.id, label: preset.label, rows, columns, captionPosition, perPage: rows * columns, comparison: preset.comparison || null };
+    }
+
+    /**
+     * 比較レイアウトの1ページ分の写真の組を、写真を置くマス目の並びに変換する
+     * 組の写真は row なら1行、column なら1列に並べ、枚数の足りない組は空きマス(null)で埋める
+     * 戻り値の layout は、そのページで実際に使う行数・列数
+     */
+    function arrangeComparison(resolved, units) {
+        const size = Math.max(2, ...units.map(unit => unit.length));
+        const cells = units.flatMap(unit => [...unit, ...Array(size - unit.length).fill(null)]);
+        const layout = resolved.comparison === 'column'
+            ? { ...resolved, rows: size }
+            : { ...resolved, columns: size };
+        return { layout, cells };
+    }
+
+    /**
+     * レイアウトの行・列をCSSのgrid指定に変換する
+     */
+    function getGridStyle(resolved) {
+        // 縦並びの比較レイアウトは、組ごとに1列ずつ上から埋める
+        const flow = resolved.comparison === 'column' ? ' grid-auto-flow: column;' : '';
+        return `grid-template-columns: repeat(${resolved.columns}, minmax(0, 1fr)); grid-template-rows: repeat(${resolved.rows}, minmax(0, 1fr));${flow}`;
+    }
+
+    function getPresetOptions({ includeCustom = true } = {}) {
+        return Object.entries(PRESETS)
+            .filter(([id]) => includeCustom || id !== 'custom')
+            .map(([id, preset]) => ({ id, label: preset.label, captionPosition: preset.captionPosition }));
+    }
+
+    window.PageLayout = {
+        CAPTION_POSITIONS,
+        MAX_CUSTOM_CELLS,
+        createDefaultLayout,
+        fromPhotosPerPage,
+        resolveLayout,
+        arrangeComparison,
+        getGridStyle,
+        getPresetOptions,
+    };
+})();
@@ -0,0 +1,97 @@
+// ページ設定用JavaScript
+// 用紙サイズ・余白・とじしろを管理し、プレビューのページの大きさと印刷用の @page ルールを作る
+(() => {
+    // 縦向きの寸法(mm)
+    const PAPER_SIZES = {
+        A3: { label: 'A3', width: 297, height: 420 },
+        B4: { label: 'B4', width: 257, height: 364 },
+        A4: { label: 'A4', width: 210, height: 297 },
+        B5: { label: 'B5', width: 182, height: 257 },
+        Letter: { label: 'レター', width: 215.9, height: 279.4 },
+    };
+
+    const BINDING_EDGES = {
+        left: '左とじ',
+        top: '上とじ',
+    };
+
+    const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+    const MAX_MARGIN = 50; // 余白・とじしろの上限(mm)
+
+    function createDefaultPageSetup() {
+        // 余白の既定値は従来のプレビューの余白(1.5rem ≒ 6mm)に合わせる
+        return { paperSize: 'A4', margins: { top: 6, right: 6, bottom: 6, left: 6 }, bindingMargin: 0, bindingEdge: 'left' };
+    }
+
+    function clampMargin(value, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(MAX_MARGIN, Math.max(0, number)) : fallback;
+    }
+
+    /**
+     * 保存データなどから読み込んだページ設定を、不正な値を既定値に戻して返す
+     */
+    function normalizePageSetup(setup) {
+        const defaults = createDefaultPageSetup();
+        if (!setup || typeof setup !== 'object') return defaults;
+        const margins = setup.margins && typeof setup.margins === 'object' ? setup.margins : {};
+        return {
+            paperSize: PAPER_SIZES[setup.paperSize] ? setup.paperSize : defaults.paperSize,
+            margins: Object.fromEntries(MARGIN_SIDES.map(side => [side, clampMargin(margins[side], defaults.margins[side])])),
+            bindingMargin: clampMargin(setup.bindingMargin, defaults.bindingMargin),
+            bindingEdge: BINDING_EDGES[setup.bindingEdge] ? setup.bindingEdge : defaults.bindingEdge,
+        };
+    }
+
+    /**
+     * 用紙の向きを考慮した用紙の幅・高さ(mm)
+     */
+    function getPageSize(setup, orientation) {
+        const { width, height } = PAPER_SIZES[setup.paperSize] || PAPER_SIZES.A4;
+        return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+    }
+
+    /**
+     * 余白にとじしろを加えた、ページの内側の余白(mm)
+     */
+    function getPagePadding(setup) {
+        const padding = { ...setup.margins };
+        padding[setup.bindingEdge] += setup.bindingMargin;
+        return padding;
+    }
+
+    /**
+     * プレビューのページ要素に設定するスタイル(印刷・PDF出力もこの大きさを使う)
+     */
+    function getPageStyle(setup, orientation) {
+        const { width, height } = getPageSize(setup, orientation);
+        const padding = getPagePadding(setup);
+        return {
+            width: `${width}mm`,
+            height: `${height}mm`,
+            padding: MARGIN_SIDES.map(side => `${padding[side]}mm`).join(' '),
+        };
+    }
+
+    /**
+     * 印刷時の用紙サイズを指定する @page ルール
+     * 余白はページ要素の内側に取るため、プリンター側の余白は 0 にする
+     */
+    function getPageRule(setup, orientation) {
+        const { width, height } = getPageSize(setup, orientation);
+        return `@page { size: ${width}mm ${height}mm; margin: 0; }`;
+    }
+
+    window.PageSetup = {
+        PAPER_SIZES,
+        BINDING_EDGES,
+        MARGIN_SIDES,
+        MAX_MARGIN,
+        createDefaultPageSetup,
+        normalizePageSetup,
+        getPageSize,
+        getPagePadding,
+        getPageStyle,
+        getPageRule,
+    };
+})();
@@ -0,0 +1,257 @@
+// PDF生成用JavaScript
+// 外部ライブラリを使わずに、JPEG画像と日本語テキストを含むPDFを組み立てる
+//
+// 日本語フォントはAdobe-Japan1の標準フォント名で参照するだけで、PDFには埋め込まない
+// (ブラウザからは表示に使ったフォントのデータを取り出せないため)
+// 代わりに、文字ごとの位置をブラウザで計測した位置(実際に表示したフォントの文字幅)で指定し、
+// どのPDFビューアでも文字の位置・行の長さ・改行位置がプレビューと同じになるようにする
+// 制限: 文字の形(書体)は閲覧側の環境のフォント(小塚ゴシック・小塚明朝、なければその代替フォント)になる
+(() => {
+    // 日本語フォントはAdobe-Japan1の標準フォント名で参照する(埋め込みなし)
+    const FONT_NAMES = {
+        'sans-serif': 'KozGoPr6N-Medium',
+        'serif': 'KozMinPr6N-Regular',
+    };
+
+    // フォント辞書で宣言する文字幅(1000 = 1em)。位置は文字ごとに指定するため、すべて全角幅として宣言する
+    const DECLARED_WIDTH = 1000;
+
+    const encoder = new TextEncoder();
+
+    function formatNumber(value) {
+        return Number(value.toFixed(3)).toString();
+    }
+
+    /**
+     * 文字ごとの位置(positions: 行頭からの距離 pt)に合わせて文字を並べるTJ命令の配列部分を作る
+     * 宣言した文字幅と実際の送り幅との差を、文字の間の調整量(1/1000em単位)として入れる
+     */
+    function toPositionedText(chars, positions, fontSize) {
+        return chars.map((char, i) => {
+            const hex = `<${toUtf16Hex(char)}>`;
+            if (i === chars.length - 1) return hex;
+            const advance = (positions[i + 1] - positions[i]) / fontSize * 1000;
+            return `${hex} ${formatNumber(DECLARED_WIDTH - advance)}`;
+        }).join(' ');
+    }
+
+    /**
+     * 文字列をUTF-16BEの16進表記に変換(UniJIS-UTF16-Hエンコーディング用)
+     */
+    function toUtf16Hex(text) {
+        let hex = '';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+        }
+        return hex.toUpperCase();
+    }
+
+    function dataUrlToBytes(dataUrl) {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * 1ページ分の描画命令を組み立てる
+     * 座標は左上原点・pt単位で受け取り、PDFの左下原点に変換する
+     */
+    function createPage(width, height, document) {
+        const commands = [];
+        const y = (top, h = 0) => formatNumber(height - top - h);
+
+        return {
+            width,
+            height,
+            commands,
+            fillRect(x, top, w, h, color) {
+                commands.push(`q ${color.join(' ')} rg ${formatNumber(x)} ${y(top, h)} ${formatNumber(w)} ${formatNumber(h)} re f Q`);
+            },
+            line(x1, top1, x2, top2, lineWidth, color) {
+                commands.push(`q ${color.join(' ')} RG ${formatNumber(lineWidth)} w ${formatNumber(x1)} ${y(top1)} m ${formatNumber(x2)} ${y(top2)} l S Q`);
+            },
+            /**
+             * 折れ線・多角形を描画する。options: { stroke, fill, lineWidth, closed }
+             */
+            path(points, options) {
+                if (points.length < 2) return;
+                const segments = points.map(([px, top], i) => `${formatNumber(px)} ${y(top)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+                commands.push(`q ${paintSetup(options)}${segments}${options.closed ? ' h' : ''} ${paintOperator(options)} Q`);
+            },
+            ellipse(cx, cy, rx, ry, options) {
+                // 4本のベジェ曲線で楕円を近似する
+                const k = 0.5523;
+                const [ox, oy] = [rx * k, ry * k];
+                const p = (px, top) => `${formatNumber(px)} ${y(top)}`;
+                const segments = [
+                    `${p(cx + rx, cy)} m`,
+                    `${p(cx + rx, cy + oy)} ${p(cx + ox, cy + ry)} ${p(cx, cy + ry)} c`,
+                    `${p(cx - ox, cy + ry)} ${p(cx - rx, cy + oy)} ${p(cx - rx, cy)} c`,
+                    `${p(cx - rx, cy - oy)} ${p(cx - ox, cy - ry)} ${p(cx, cy - ry)} c`,
+                    `${p(cx + ox, cy - ry)} ${p(cx + rx, cy - oy)} ${p(cx + rx, cy)} c`,
+                ].join(' ');
+                commands.push(`q ${paintSetup(options)}${segments} h ${paintOperator(options)} Q`);
+            },
+            /**
+             * 以降の描画を矩形で切り抜く(popClipまで有効)
+             */
+            pushClip(clip) {
+                commands.push(`q ${formatNumber(clip.x)} ${y(clip.top, clip.height)} ${formatNumber(clip.width)} ${formatNumber(clip.height)} re W n`);
+            },
+            popClip() {
+                commands.push('Q');
+            },
+            /**
+             * 画像を描画する。clipを指定するとその矩形で切り抜く
+             */
+            image(imageId, x, top, w, h, clip) {
+                let command = 'q ';
+                if (clip) {
+                    command += `${formatNumber(clip.x)} ${y(clip.top, clip.height)} ${formatNumber(clip.width)} ${formatNumber(clip.height)} re W n `;
+                }
+                command += `${formatNumber(w)} 0 0 ${formatNumber(h)} ${formatNumber(x)} ${y(top, h)} cm /Im${imageId} Do Q`;
+                commands.push(command);
+            },
+            /**
+             * テキストを1行描画する。baselineはベースライン位置
+             * options.positions: 各文字(サロゲートペアは1文字)の行頭からの位置(pt)。省略するとすべて全角幅で並べる
+             */
+            text(str, x, baseline, fontSize, options = {}) {
+                const fontKey = document.useFont(options.fontFamily);
+                const color = (options.color || [0, 0, 0]).join(' ');
+                const bold = options.bold ? `2 Tr ${formatNumber(fontSize * 0.03)} w ${color} RG ` : '';
+                const chars = Array.from(str);
+                const shown = options.positions && options.positions.length === chars.length
+                    ? `[${toPositionedText(chars, options.positions, fontSize)}] TJ`
+                    : `<${toUtf16Hex(str)}> Tj`;
+                // 太字の描画モード・線幅・線の色はETの後も残るため、q〜Qで囲んでこの行だけに効かせる
+                commands.push(`q BT ${bold}${color} rg /${fontKey} ${formatNumber(fontSize)} Tf ${formatNumber(x)} ${y(baseline)} Td ${shown} ET Q`);
+            },
+        };
+    }
+
+    function paintSetup({ stroke, fill, lineWidth = 1 }) {
+        let setup = '1 J 1 j ';
+        if (stroke) setup += `${stroke.join(' ')} RG ${formatNumber(lineWidth)} w `;
+        if (fill) setup += `${fill.join(' ')} rg `;
+        return setup;
+    }
+
+    function paintOperator({ stroke, fill }) {
+        if (stroke && fill) return 'B';
+        return fill ? 'f' : 'S';
+    }
+
+    function createPdfDocument() {
+        const pages = [];
+        const images = [];
+        const imageIdsBySource = new Map();
+        const fonts = new Map(); // フォント名 -> リソース名
+
+        const document = {
+            addPage(width, height) {
+                const page = createPage(width, height, document);
+                pages.push(page);
+                return page;
+            },
+            /**
+             * JPEGのデータURLを登録し、画像IDを返す(同じ画像は1度だけ埋め込む)
+             */
+            addJpeg(dataUrl, pixelWidth, pixelHeight) {
+                if (imageIdsBySource.has(dataUrl)) return imageIdsBySource.get(dataUrl);
+                const id = images.length;
+                images.push({ bytes: dataUrlToBytes(dataUrl), width: pixelWidth, height: pixelHeight });
+                imageIdsBySource.set(dataUrl, id);
+                return id;
+            },
+            useFont(fontFamily) {
+                const baseFont = FONT_NAMES[fontFamily] || FONT_NAMES['sans-serif'];
+                if (!fonts.has(baseFont)) fonts.set(baseFont, `F${fonts.size}`);
+                return fonts.get(baseFont);
+            },
+            build() {
+                return buildPdf(pages, images, fonts);
+            },
+        };
+        return document;
+    }
+
+    /**
+     * PDFのバイト列を組み立ててBlobとして返す
+     */
+    function buildPdf(pages, images, fonts) {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        let nextId = 1;
+
+        const push = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const allocate = () => nextId++;
+        const writeObject = (id, body, stream) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${body}\n`);
+            if (stream) {
+                push('stream\n');
+                push(stream);
+                push('\nendstream\n');
+            }
+            push('endobj\n');
+        };
+
+        const catalogId = allocate();
+        const pagesId = allocate();
+
+        push('%PDF-1.4\n');
+        push(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // バイナリを含むことを示すコメント
+
+        const fontRefs = [];
+        fonts.forEach((key, baseFont) => {
+            const type0Id = allocate();
+            const cidFontId = allocate();
+            const descriptorId = allocate();
+            writeObject(type0Id, `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /UniJIS-UTF16-H /DescendantFonts [${cidFontId} 0 R] >>`);
+            writeObject(cidFontId, `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${baseFont} /CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 6 >> /FontDescriptor ${descriptorId} 0 R /DW ${DECLARED_WIDTH} >>`);
+            writeObject(descriptorId, `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 4 /FontBBox [-100 -200 1100 900] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 700 /StemV 80 >>`);
+            fontRefs.push(`/${key} ${type0Id} 0 R`);
+        });
+
+        const imageRefs = images.map((image, index) => {
+            const imageObjectId = allocate();
+            writeObject(imageObjectId, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`, image.bytes);
+            return `/Im${index} ${imageObjectId} 0 R`;
+        });
+
+        const resources = `<< /Font << ${fontRefs.join(' ')} >> /XObject << ${imageRefs.join(' ')} >> >>`;
+        const pageIds = pages.map(page => {
+            const contentId = allocate();
+            const pageId = allocate();
+            const content = encoder.encode(page.commands.join('\n'));
+            writeObject(contentId, `<< /Length ${content.length} >>`, content);
+            writeObject(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+            return pageId;
+        });
+
+        writeObject(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+        writeObject(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+        const xrefOffset = length;
+        let xref = `xref\n0 ${nextId}\n0000000000 65535 f \n`;
+        for (let id = 1; id < nextId; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        push(xref);
+        push(`trailer\n<< /Size ${nextId} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    window.PdfWriter = { createPdfDocument };
+})();
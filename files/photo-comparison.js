@@ -0,0 +1,129 @@
+// 比較写真用JavaScript
+// 施工前・施工後などの写真を2〜3枚ひと組にまとめ、並び替えでも離れないように管理する
+// 組にした写真は photo.comparison = { groupId, stage(段階名) } を持ち、写真の並びの中で常に連続して並ぶ
+(() => {
+    const MIN_GROUP_SIZE = 2;
+    const MAX_GROUP_SIZE = 3;
+
+    // 組の枚数ごとの段階名の初期値
+    const DEFAULT_STAGES = {
+        2: ['施工前', '施工後'],
+        3: ['施工前', '施工中', '施工後'],
+    };
+
+    // 段階名の入力候補
+    const STAGE_OPTIONS = ['着手前', '施工前', '施工中', '施工後', '完成', '補修前', '補修後'];
+
+    function createGroupId() {
+        return `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    function getGroupId(photo) {
+        return photo.comparison ? photo.comparison.groupId : null;
+    }
+
+    /**
+     * 写真を並び順のまま1つの組にする。すでに別の組に入っている写真はその組から外す
+     * 枚数が組にできる範囲外なら何もせず false を返す
+     */
+    function link(photos) {
+        if (photos.length < MIN_GROUP_SIZE || photos.length > MAX_GROUP_SIZE) return false;
+        const groupId = createGroupId();
+        const stages = DEFAULT_STAGES[photos.length];
+        photos.forEach((photo, index) => {
+            photo.comparison = { groupId, stage: stages[index] };
+        });
+        return true;
+    }
+
+    /**
+     * 写真を組から外す(残りが1枚になった組は normalize で解消される)
+     */
+    function unlink(photos) {
+        photos.forEach(photo => { delete photo.comparison; });
+    }
+
+    /**
+     * 写真の並びを、組の写真が連続するように整える(新しい配列を返す)
+     * - 組の写真は最初の写真の位置にまとめ、セクションも最初の写真に合わせる
+     * - 1枚だけになった組や、形式の正しくない組の指定は削除する
+     */
+    function normalize(photos) {
+        const members = new Map();
+        photos.forEach(photo => {
+            const comparison = photo.comparison;
+            if (comparison && (typeof comparison !== 'object' || typeof comparison.groupId !== 'string' || !comparison.groupId)) {
+                delete photo.comparison;
+                return;
+            }
+            const groupId = getGroupId(photo);
+            if (!groupId) return;
+            if (typeof comparison.stage !== 'string') comparison.stage = '';
+            if (!members.has(groupId)) members.set(groupId, []);
+            members.get(groupId).push(photo);
+        });
+        members.forEach((group, groupId) => {
+            if (group.length >= MIN_GROUP_SIZE) {
+                group.forEach(photo => { photo.sectionId = group[0].sectionId ?? null; });
+                return;
+            }
+            group.forEach(photo => { delete photo.comparison; });
+            members.delete(groupId);
+        });
+
+        const result = [];
+        photos.forEach(photo => {
+            const group = members.get(getGroupId(photo));
+            if (!group) {
+                result.push(photo);
+            } else if (group[0] === photo) {
+                result.push(...group);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 並べ替えの単位(組の写真はまとめて1つ、組でない写真は1枚ずつ)に分ける
+     * photos は normalize 済みの並び(またはその一部)を渡す
+     */
+    function getUnits(photos) {
+        const units = [];
+        photos.forEach((photo, index) => {
+            const groupId = getGroupId(photo);
+            if (groupId && index > 0 && getGroupId(photos[index - 1]) === groupId) {
+                units[units.length - 1].push(photo);
+            } else {
+                units.push([photo]);
+            }
+        });
+        return units;
+    }
+
+    /**
+     * 移動する写真に、同じ組のほかの写真を加える(allPhotos の並び順で返す)
+     */
+    function expandToGroups(allPhotos, photos) {
+        const groupIds = new Set(photos.map(getGroupId).filter(Boolean));
+        return allPhotos.filter(photo => photos.includes(photo) || groupIds.has(getGroupId(photo)));
+    }
+
+    /**
+     * 写真と同じ組の写真(組でなければその写真だけ)を allPhotos の並び順で返す
+     */
+    function getGroupOf(allPhotos, photo) {
+        return expandToGroups(allPhotos, [photo]);
+    }
+
+    window.PhotoComparison = {
+        MIN_GROUP_SIZE,
+        MAX_GROUP_SIZE,
+        STAGE_OPTIONS,
+        link,
+        unlink,
+        normalize,
+        getUnits,
+        expandToGroups,
+        getGroupOf,
+    };
+})();
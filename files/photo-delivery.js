@@ -0,0 +1,389 @@
+// 電子納品(写真)用JavaScript
+// 国土交通省「デジタル写真管理情報基準」に沿って PHOTO フォルダ(PHOTO.XML・PIC・DRA)をZIPで出力する
+// 写真の分類(写真-大分類・写真区分・工種など)は photo.delivery に保存する
+(() => {
+    const DEFAULT_STANDARD = '土木202303-01'; // 適用要領基準
+    const DTD_NAME = 'PHOTO05.DTD';
+    const DTD_VERSION = '05';
+    const MAX_TEXT_BYTES = 254; // 文字列項目の上限(全角127文字・半角254文字)
+    const MAJOR_CATEGORIES = ['工事', '測量', '調査', '地質', '広報', '設計', 'その他'];
+    const PHOTO_CATEGORIES = ['着手前及び完成写真', '施工状況写真', '安全管理写真', '使用材料写真', '品質管理写真', '出来形管理写真', '災害写真', 'その他'];
+
+    // 写真ごとに入力する分類項目
+    const FIELDS = [
+        { key: 'majorCategory', label: '写真-大分類', options: MAJOR_CATEGORIES },
+        { key: 'category', label: '写真区分', options: PHOTO_CATEGORIES },
+        { key: 'workType', label: '工種' },
+        { key: 'workKind', label: '種別' },
+        { key: 'workDetail', label: '細別' },
+        { key: 'title', label: '写真タイトル' },
+    ];
+
+    const DTD = [
+        `<!-- ${DTD_NAME} -->`,
+        '<!ELEMENT photodata (基礎情報,写真情報+,ソフトメーカ用TAG*)>',
+        `<!ATTLIST photodata DTD_version CDATA #FIXED "${DTD_VERSION}">`,
+        '<!ELEMENT 基礎情報 (写真フォルダ名,参考図フォルダ名?,適用要領基準)>',
+        '<!ELEMENT 写真フォルダ名 (#PCDATA)>',
+        '<!ELEMENT 参考図フォルダ名 (#PCDATA)>',
+        '<!ELEMENT 適用要領基準 (#PCDATA)>',
+        '<!ELEMENT 写真情報 (写真ファイル情報,撮影工種区分,付加情報*,撮影情報,代表写真,提出頻度写真,施工管理値?,受注者説明文?)>',
+        '<!ELEMENT 写真ファイル情報 (シリアル番号,写真ファイル名,写真ファイル日本語名?,メディア番号)>',
+        '<!ELEMENT シリアル番号 (#PCDATA)>',
+        '<!ELEMENT 写真ファイル名 (#PCDATA)>',
+        '<!ELEMENT 写真ファイル日本語名 (#PCDATA)>',
+        '<!ELEMENT メディア番号 (#PCDATA)>',
+        '<!ELEMENT 撮影工種区分 (写真-大分類,写真区分?,工種?,種別?,細別?,写真タイトル,工種区分予備*)>',
+        '<!ELEMENT 写真-大分類 (#PCDATA)>',
+        '<!ELEMENT 写真区分 (#PCDATA)>',
+        '<!ELEMENT 工種 (#PCDATA)>',
+        '<!ELEMENT 種別 (#PCDATA)>',
+        '<!ELEMENT 細別 (#PCDATA)>',
+        '<!ELEMENT 写真タイトル (#PCDATA)>',
+        '<!ELEMENT 工種区分予備 (#PCDATA)>',
+        '<!ELEMENT 付加情報 (参考図ファイル名?,参考図ファイル日本語名?,参考図タイトル?,付加情報予備*)>',
+        '<!ELEMENT 参考図ファイル名 (#PCDATA)>',
+        '<!ELEMENT 参考図ファイル日本語名 (#PCDATA)>',
+        '<!ELEMENT 参考図タイトル (#PCDATA)>',
+        '<!ELEMENT 付加情報予備 (#PCDATA)>',
+        '<!ELEMENT 撮影情報 (撮影箇所?,撮影年月日)>',
+        '<!ELEMENT 撮影箇所 (#PCDATA)>',
+        '<!ELEMENT 撮影年月日 (#PCDATA)>',
+        '<!ELEMENT 代表写真 (#PCDATA)>',
+        '<!ELEMENT 提出頻度写真 (#PCDATA)>',
+        '<!ELEMENT 施工管理値 (#PCDATA)>',
+        '<!ELEMENT 受注者説明文 (#PCDATA)>',
+        '<!ELEMENT ソフトメーカ用TAG (#PCDATA)>',
+    ].join('\r\n');
+
+    // --- Shift_JIS ---
+
+    // Macで入力されやすく、Shift_JISに対応する文字がない記号の置き換え
+    const EQUIVALENT_CHARACTERS = { '〜': '～', '−': '－', '‖': '∥', '¢': '￠', '£': '￡', '¬': '￢' };
+
+    let shiftJisTable = null;
+
+    /**
+     * 文字 → Shift_JISの2バイトの対応表を作る
+     * JIS X 0208の範囲だけを対象にし、機種依存文字(丸数字・IBM拡張漢字など)は使用できない文字として扱う
+     */
+    function getShiftJisTable() {
+        if (shiftJisTable) return shiftJisTable;
+        const decoder = new TextDecoder('shift_jis');
+        const leads = [];
+        for (let lead = 0x81; lead <= 0x84; lead++) leads.push(lead);
+        for (let lead = 0x88; lead <= 0x9F; lead++) leads.push(lead);
+        for (let lead = 0xE0; lead <= 0xEA; lead++) leads.push(lead);
+        shiftJisTable = new Map();
+        leads.forEach(lead => {
+            for (let trail = 0x40; trail <= 0xFC; trail++) {
+                if (trail === 0x7F) continue;
+                const char = decoder.decode(Uint8Array.of(lead, trail));
+                if (char.length === 1 && char !== '\uFFFD' && !shiftJisTable.has(char)) shiftJisTable.set(char, [lead, trail]);
+            }
+        });
+        return shiftJisTable;
+    }
+
+    function normalizeText(text) {
+        return String(text ?? '').replace(/[\r\n\t]+/g, ' ').trim()
+            .replace(/[〜−‖¢£¬]/g, c => EQUIVALENT_CHARACTERS[c]);
+    }
+
+    /**
+     * 電子納品で使用できない文字(Shift_JISにない文字・機種依存文字・半角カナ)を返す
+     */
+    function findInvalidCharacters(text) {
+        const table = getShiftJisTable();
+        const invalid = new Set();
+        for (const char of normalizeText(text)) {
+            const code = char.codePointAt(0);
+            if (code >= 0x20 && code <= 0x7E) continue;
+            if (!table.has(char)) invalid.add(char);
+        }
+        return [...invalid];
+    }
+
+    /**
+     * 文字列をShift_JISに変換する(使用できない文字は「？」にする)
+     */
+    function encodeShiftJis(text) {
+        const table = getShiftJisTable();
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80) bytes.push(code);
+            else bytes.push(...(table.get(char) || table.get('？')));
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    // --- 写真情報 ---
+
+    /**
+     * 撮影日時(EXIF)または帳票の日付から撮影年月日(CCYY-MM-DD)を返す
+     */
+    function getTakenDate(photo, date) {
+        const match = /^(\d{4})[-:](\d{2})[-:](\d{2})/.exec(photo.takenAt || date || '');
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+    }
+
+    /**
+     * 写真の分類の入力値と既存の項目から、PHOTO.XMLに書き込む値を決める
+     * 写真タイトルが空の場合はコメントの1行目を使い、コメント全体を受注者説明文にする
+     */
+    function resolvePhotoInfo(photo, values, date) {
+        const delivery = values || photo.delivery || {};
+        const comment = String(photo.comment || '');
+        const title = normalizeText(delivery.title) || normalizeText(comment.split('\n')[0]);
+        return {
+            majorCategory: delivery.majorCategory || MAJOR_CATEGORIES[0],
+            category: delivery.category || '',
+            workType: normalizeText(delivery.workType),
+            workKind: normalizeText(delivery.workKind),
+            workDetail: normalizeText(delivery.workDetail),
+            title,
+            location: normalizeText(photo.location),
+            takenDate: getTakenDate(photo, date),
+            description: normalizeText(delivery.title) ? normalizeText(comment) : '',
+            representative: !!delivery.representative,
+            frequency: !!delivery.frequency,
+        };
+    }
+
+    function isValidDate(text) {
+        const [year, month, day] = text.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    /**
+     * 出力前に必須項目・文字数・使用できない文字を確認する
+     * context: { standard, date, getValues(photo, index) }(getValues は入力途中の値を返す。省略時は photo.delivery)
+     * 戻り値: [{ index(写真の番号。全体の問題は null), message }]
+     */
+    function validatePhotos(photos, context) {
+        const errors = [];
+        const checkText = (index, label, text) => {
+            const invalid = findInvalidCharacters(text);
+            if (invalid.length > 0) errors.push({ index, message: `${label}に使用できない文字があります: ${invalid.join(' ')}` });
+            else if (encodeShiftJis(normalizeText(text)).length > MAX_TEXT_BYTES) errors.push({ index, message: `${label}が長すぎます(全角127文字・半角254文字まで)。` });
+        };
+
+        if (!normalizeText(context.standard)) errors.push({ index: null, message: '適用要領基準を入力してください。' });
+        else checkText(null, '適用要領基準', context.standard);
+        if (photos.length === 0) errors.push({ index: null, message: '写真がありません。' });
+
+        photos.forEach((photo, index) => {
+            const values = context.getValues ? context.getValues(photo, index) : photo.delivery;
+            const info = resolvePhotoInfo(photo, values, context.date);
+            if (typeof photo.sourceUrl !== 'string' || !photo.sourceUrl.startsWith('data:image/jpeg')) {
+                errors.push({ index, message: '元の画像(JPEG)が保存されていません。「電子納品用に元の画像も保存する」をオンにしてから写真を追加し直してください。' });
+            }
+            if (!MAJOR_CATEGORIES.includes(info.majorCategory)) errors.push({ index, message: `写真-大分類「${info.majorCategory}」は使用できません。` });
+            if (info.category && !PHOTO_CATEGORIES.includes(info.category)) errors.push({ index, message: `写真区分「${info.category}」は使用できません。` });
+            if (info.majorCategory === '工事' && !info.category) errors.push({ index, message: '写真区分を選んでください(写真-大分類が「工事」の場合は必須)。' });
+            if (!info.title) errors.push({ index, message: '写真タイトルがありません。写真タイトルかコメントを入力してください。' });
+            if (!info.takenDate || !isValidDate(info.takenDate)) errors.push({ index, message: '撮影年月日がありません。撮影日時のある写真を使うか、帳票の日付を入力してください。' });
+            [['工種', info.workType], ['種別', info.workKind], ['細別', info.workDetail], ['写真タイトル', info.title],
+                ['撮影箇所', info.location], ['受注者説明文(コメント)', info.description]]
+                .forEach(([label, text]) => checkText(index, label, text));
+        });
+        return errors;
+    }
+
+    // --- PHOTO.XML ---
+
+    function element(name, value, indent) {
+        return `${indent}<${name}>${window.DomUtils.escapeHtml(value)}</${name}>`;
+    }
+
+    function getPhotoFileName(index) {
+        return `P${String(index + 1).padStart(7, '0')}.JPG`;
+    }
+
+    function createPhotoXml(photos, { standard, date }) {
+        const lines = [
+            '<?xml version="1.0" encoding="Shift_JIS"?>',
+            `<!DOCTYPE photodata SYSTEM "${DTD_NAME}">`,
+            `<photodata DTD_version="${DTD_VERSION}">`,
+            '\t<基礎情報>',
+            element('写真フォルダ名', 'PHOTO/PIC', '\t\t'),
+            element('参考図フォルダ名', 'PHOTO/DRA', '\t\t'),
+            element('適用要領基準', normalizeText(standard), '\t\t'),
+            '\t</基礎情報>',
+        ];
+        photos.forEach((photo, index) => {
+            const info = resolvePhotoInfo(photo, null, date);
+            const optional = (name, value) => (value ? [element(name, value, '\t\t\t')] : []);
+            lines.push(
+                '\t<写真情報>',
+                '\t\t<写真ファイル情報>',
+                element('シリアル番号', index + 1, '\t\t\t'),
+                element('写真ファイル名', getPhotoFileName(index), '\t\t\t'),
+                element('メディア番号', 1, '\t\t\t'),
+                '\t\t</写真ファイル情報>',
+                '\t\t<撮影工種区分>',
+                element('写真-大分類', info.majorCategory, '\t\t\t'),
+                ...optional('写真区分', info.category),
+                ...optional('工種', info.workType),
+                ...optional('種別', info.workKind),
+                ...optional('細別', info.workDetail),
+                element('写真タイトル', info.title, '\t\t\t'),
+                '\t\t</撮影工種区分>',
+                '\t\t<撮影情報>',
+                ...optional('撮影箇所', info.location),
+                element('撮影年月日', info.takenDate, '\t\t\t'),
+                '\t\t</撮影情報>',
+                element('代表写真', info.representative ? 1 : 0, '\t\t'),
+                element('提出頻度写真', info.frequency ? 1 : 0, '\t\t'),
+                ...(info.description ? [element('受注者説明文', info.description, '\t\t')] : []),
+                '\t</写真情報>'
+            );
+        });
+        lines.push('</photodata>', '');
+        return lines.join('\r\n');
+    }
+
+    /**
+     * PHOTO フォルダ一式のZIPを作成する。写真は取り込み時に保存した元のJPEGをそのまま格納する
+     * 事前に validatePhotos で問題がないことを確認しておく
+     */
+    async function createDeliveryPackage(photos, context) {
+        const files = [
+            { name: 'PHOTO/PHOTO.XML', data: encodeShiftJis(createPhotoXml(photos, context)), compress: true },
+            { name: `PHOTO/${DTD_NAME}`, data: encodeShiftJis(DTD), compress: true },
+            { name: 'PHOTO/DRA/', data: new Uint8Array(0), compress: false }, // 参考図はないため空のフォルダのみ
+        ];
+        for (const [index, photo] of photos.entries()) {
+            const buffer = await fetch(photo.sourceUrl).then(response => response.arrayBuffer());
+            files.push({ name: `PHOTO/PIC/${getPhotoFileName(index)}`, data: new Uint8Array(buffer), compress: false });
+        }
+        return window.ZipArchive.writeZip(files);
+    }
+
+    // --- 分類の入力画面 ---
+
+    let editor = null;
+
+    function getFieldInputHTML(field, value, index, placeholder = '') {
+        const attributes = `data-index="${index}" data-key="${field.key}" class="text-sm rounded-md input-highlight" aria-label="${field.label}"`;
+        if (field.options) {
+            const blank = field.key === 'category' ? '<option value="">(未選択)</option>' : '';
+            return `<select ${attributes}>${blank}${field.options.map(option => `<option value="${option}"${option === value ? ' selected' : ''}>${option}</option>`).join('')}</select>`;
+        }
+        return `<input type="text" ${attributes} value="${window.DomUtils.escapeHtml(value)}" placeholder="${window.DomUtils.escapeHtml(placeholder)}">`;
+    }
+
+    function setupEditor() {
+        const modal = document.getElementById('delivery-modal');
+        const standardInput = document.getElementById('delivery-standard');
+        const table = document.getElementById('delivery-table');
+        const errorList = document.getElementById('delivery-errors');
+        const exportButton = document.getElementById('delivery-export');
+        const instance = { context: null, drafts: [] };
+
+        const validate = () => {
+            const { photos, date } = instance.context;
+            const errors = validatePhotos(photos, { standard: standardInput.value, date, getValues: (photo, index) => instance.drafts[index] });
+            const invalidRows = new Set(errors.map(error => error.index));
+            table.querySelectorAll('tbody tr').forEach((row, index) => row.classList.toggle('ledger-unmatched', invalidRows.has(index)));
+            errorList.innerHTML = errors.length === 0
+                ? '<li>問題はありません。</li>'
+                : errors.slice(0, 50).map(error => `<li class="text-red-500">${error.index === null ? '' : `No.${error.index + 1}: `}${window.DomUtils.escapeHtml(error.message)}</li>`).join('')
+                    + (errors.length > 50 ? `<li class="text-red-500">ほか${errors.length - 50}件</li>` : '');
+            return errors;
+        };
+
+        const renderTable = () => {
+            const { photos, date, getThumbnailUrl } = instance.context;
+            table.innerHTML = `<thead><tr><th>No.</th><th>写真</th>${FIELDS.map(field => `<th>${field.label}</th>`).join('')}<th>代表</th><th>提出頻度</th><th>撮影年月日</th></tr></thead>
+                <tbody>${photos.map((photo, index) => {
+                    const draft = instance.drafts[index];
+                    const info = resolvePhotoInfo(photo, draft, date);
+                    // 写真タイトルが空欄の場合に使うコメントを薄く表示する
+                    const commentTitle = normalizeText(String(photo.comment || '').split('\n')[0]);
+                    const cells = FIELDS.map(field => {
+                        const value = field.key === 'majorCategory' ? info.majorCategory : draft[field.key] || '';
+                        return `<td>${getFieldInputHTML(field, value, index, field.key === 'title' ? commentTitle : '')}</td>`;
+                    }).join('');
+                    return `<tr><td>${index + 1}</td><td><img src="${getThumbnailUrl(photo)}" class="ledger-thumb" alt=""></td>${cells}
+                        <td><input type="checkbox" data-index="${index}" data-key="representative" aria-label="代表写真"${draft.representative ? ' checked' : ''}></td>
+                        <td><input type="checkbox" data-index="${index}" data-key="frequency" aria-label="提出頻度写真"${draft.frequency ? ' checked' : ''}></td>
+                        <td>${info.takenDate}</td></tr>`;
+                }).join('')}</tbody>`;
+        };
+
+        const apply = () => {
+            const { photos, onApply } = instance.context;
+            onApply({
+                standard: normalizeText(standardInput.value),
+                assignments: photos.map((photo, index) => ({ photo, values: instance.drafts[index] })),
+            });
+        };
+
+        const close = () => modal.classList.add('hidden');
+
+        table.addEventListener('input', e => {
+            const { index, key } = e.target.dataset;
+            if (index === undefined) return;
+            instance.drafts[index][key] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            validate();
+        });
+        standardInput.addEventListener('input', validate);
+        document.getElementById('delivery-cancel').addEventListener('click', close);
+        document.getElementById('delivery-save').addEventListener('click', () => {
+            apply();
+            close();
+        });
+        exportButton.addEventListener('click', () => {
+            if (validate().length > 0) {
+                alert('入力内容に問題があるため出力できません。一覧の赤字の項目を確認してください。');
+                return;
+            }
+            apply();
+            close();
+            instance.context.onExport();
+        });
+
+        instance.open = (context) => {
+            instance.context = context;
+            instance.drafts = context.photos.map(photo => ({
+                majorCategory: MAJOR_CATEGORIES[0],
+                category: '',
+                workType: '',
+                workKind: '',
+                workDetail: '',
+                title: '',
+                representative: false,
+                frequency: false,
+                ...photo.delivery,
+            }));
+            standardInput.value = context.standard || DEFAULT_STANDARD;
+            renderTable();
+            validate();
+            modal.classList.remove('hidden');
+        };
+        return instance;
+    }
+
+    /**
+     * 分類の入力画面を開く。保存するまで写真には反映しない
+     * context: { photos, standard, date, getThumbnailUrl(photo), onApply({ standard, assignments }), onExport() }
+     */
+    function openEditor(context) {
+        if (!editor) editor = setupEditor();
+        editor.open(context);
+    }
+
+    window.PhotoDelivery = {
+        DEFAULT_STANDARD,
+        FIELDS,
+        findInvalidCharacters,
+        resolvePhotoInfo,
+        validatePhotos,
+        createPhotoXml,
+        createDeliveryPackage,
+        openEditor,
+    };
+})();
@@ -0,0 +1,310 @@
+// 写真編集(回転・切り抜き・焦点)用JavaScript
+// 元画像は変更せず、編集内容(photo.edit)から表示用の画像を生成する
+(() => {
+    const HANDLE_COLOR = '#3b82f6';
+
+    let editor = null;
+
+    function createDefaultEdit() {
+        return { rotation: 0, crop: null, focalX: 0.5, focalY: 0.5 };
+    }
+
+    function isIdentityEdit(edit) {
+        return !edit || (!edit.rotation && !edit.crop);
+    }
+
+    /**
+     * 編集後の画像上の位置(0〜1の比率)を、回転・切り抜き前の画像上の位置に戻す
+     */
+    function toSourcePoint(edit, [x, y]) {
+        const crop = (edit && edit.crop) || { x: 0, y: 0, w: 1, h: 1 };
+        const rx = crop.x + x * crop.w;
+        const ry = crop.y + y * crop.h;
+        switch ((edit && edit.rotation) || 0) {
+            case 90: return [ry, 1 - rx];
+            case 180: return [1 - rx, 1 - ry];
+            case 270: return [1 - ry, rx];
+            default: return [rx, ry];
+        }
+    }
+
+    /**
+     * 回転・切り抜き前の画像上の位置を、編集後の画像上の位置に変換する
+     */
+    function fromSourcePoint(edit, [u, v]) {
+        const crop = (edit && edit.crop) || { x: 0, y: 0, w: 1, h: 1 };
+        const [rx, ry] = {
+            90: [1 - v, u],
+            180: [1 - u, 1 - v],
+            270: [v, 1 - u],
+        }[(edit && edit.rotation) || 0] || [u, v];
+        return [(rx - crop.x) / crop.w, (ry - crop.y) / crop.h];
+    }
+
+    /**
+     * 編集内容を変えたとき、前の編集後の画像上の位置を新しい編集後の画像上の位置に変換する関数を返す
+     */
+    function createPointMapper(fromEdit, toEdit) {
+        return point => fromSourcePoint(toEdit, toSourcePoint(fromEdit, point));
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+    }
+
+    /**
+     * 元画像を回転したキャンバスを返す
+     */
+    function rotateToCanvas(img, rotation) {
+        const swap = rotation === 90 || rotation === 270;
+        const canvas = document.createElement('canvas');
+        canvas.width = swap ? img.naturalHeight : img.naturalWidth;
+        canvas.height = swap ? img.naturalWidth : img.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.drawImage(img, -img.naturalWidth / 2, -img.naturalHeight / 2);
+        return canvas;
+    }
+
+    /**
+     * 編集内容を適用した画像を生成する。回転も切り抜きもなければnullを返す
+     */
+    function applyEdit(src, edit, quality) {
+        if (isIdentityEdit(edit)) return Promise.resolve(null);
+        return loadImage(src).then(img => {
+            const rotated = rotateToCanvas(img, edit.rotation || 0);
+            const crop = edit.crop || { x: 0, y: 0, w: 1, h: 1 };
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(rotated.width * crop.w));
+            canvas.height = Math.max(1, Math.round(rotated.height * crop.h));
+            canvas.getContext('2d').drawImage(rotated,
+                rotated.width * crop.x, rotated.height * crop.y, canvas.width, canvas.height,
+                0, 0, canvas.width, canvas.height);
+            return { url: canvas.toDataURL('image/jpeg', quality), width: canvas.width, height: canvas.height };
+        });
+    }
+
+    function setupEditor() {
+        const modal = document.getElementById('photo-edit-modal');
+        const canvas = document.getElementById('photo-edit-canvas');
+        const wrapper = canvas.parentElement;
+        const modeRadios = modal.querySelectorAll('input[name="photoEditMode"]');
+        const aspectSelect = document.getElementById('photo-edit-aspect');
+        const displayModeSelect = document.getElementById('photo-edit-display-mode');
+        const ctx = canvas.getContext('2d');
+
+        const instance = {
+            photo: null,
+            img: null,
+            rotated: null,
+            edit: createDefaultEdit(),
+            cellRatio: 4 / 3,
+            quality: 0.9,
+            drag: null,
+            onSave: null,
+        };
+
+        const currentMode = () => Array.from(modeRadios).find(r => r.checked).value;
+
+        const aspectRatio = () => {
+            switch (aspectSelect.value) {
+                case 'cell': return instance.cellRatio;
+                case 'original': return instance.rotated.width / instance.rotated.height;
+                default: return null;
+            }
+        };
+
+        const draw = () => {
+            const { rotated, edit } = instance;
+            const scale = Math.min(wrapper.clientWidth / rotated.width, wrapper.clientHeight / rotated.height);
+            canvas.width = Math.round(rotated.width * scale);
+            canvas.height = Math.round(rotated.height * scale);
+            ctx.drawImage(rotated, 0, 0, canvas.width, canvas.height);
+
+            const crop = edit.crop || { x: 0, y: 0, w: 1, h: 1 };
+            const [cx, cy, cw, ch] = [crop.x * canvas.width, crop.y * canvas.height, crop.w * canvas.width, crop.h * canvas.height];
+            // 切り抜き範囲の外側を暗くする
+            ctx.fillStyle = 'rgb(0 0 0 / 0.5)';
+            ctx.fillRect(0, 0, canvas.width, cy);
+            ctx.fillRect(0, cy + ch, canvas.width, canvas.height - cy - ch);
+            ctx.fillRect(0, cy, cx, ch);
+            ctx.fillRect(cx + cw, cy, canvas.width - cx - cw, ch);
+            ctx.strokeStyle = HANDLE_COLOR;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(cx, cy, cw, ch);
+
+            // 焦点(トリミング時に残す位置)
+            const fx = cx + edit.focalX * cw;
+            const fy = cy + edit.focalY * ch;
+            ctx.beginPath();
+            ctx.arc(fx, fy, 10, 0, Math.PI * 2);
+            ctx.moveTo(fx - 16, fy);
+            ctx.lineTo(fx + 16, fy);
+            ctx.moveTo(fx, fy - 16);
+            ctx.lineTo(fx, fy + 16);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 4;
+            ctx.stroke();
+            ctx.strokeStyle = HANDLE_COLOR;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        };
+
+        const refreshRotated = () => {
+            instance.rotated = rotateToCanvas(instance.img, instance.edit.rotation);
+            draw();
+        };
+
+        const toNormalized = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+                Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+            ];
+        };
+
+        /**
+         * ドラッグ開始点と現在位置から切り抜き範囲を求める(縦横比の固定に対応)
+         */
+        const cropFromDrag = (x0, y0, x1, y1) => {
+            let w = Math.abs(x1 - x0);
+            let h = Math.abs(y1 - y0);
+            const ratio = aspectRatio();
+            if (ratio) {
+                // 正規化座標を画素比に直して縦横比をそろえる
+                const pixelRatio = ratio * instance.rotated.height / instance.rotated.width;
+                if (w / h > pixelRatio) w = h * pixelRatio; else h = w / pixelRatio;
+                const maxW = x1 >= x0 ? 1 - x0 : x0;
+                const maxH = y1 >= y0 ? 1 - y0 : y0;
+                if (w > maxW) { w = maxW; h = w / pixelRatio; }
+                if (h > maxH) { h = maxH; w = h * pixelRatio; }
+            }
+            return {
+                x: x1 >= x0 ? x0 : x0 - w,
+                y: y1 >= y0 ? y0 : y0 - h,
+                w,
+                h,
+            };
+        };
+
+        const setFocalFromPoint = (x, y) => {
+            const crop = instance.edit.crop || { x: 0, y: 0, w: 1, h: 1 };
+            instance.edit.focalX = Math.min(1, Math.max(0, (x - crop.x) / crop.w));
+            instance.edit.focalY = Math.min(1, Math.max(0, (y - crop.y) / crop.h));
+        };
+
+        const close = () => {
+            modal.classList.add('hidden');
+            instance.photo = null;
+        };
+
+        canvas.addEventListener('pointerdown', e => {
+            e.preventDefault();
+            const [x, y] = toNormalized(e);
+            canvas.setPointerCapture(e.pointerId);
+            if (currentMode() === 'focal') {
+                setFocalFromPoint(x, y);
+                instance.drag = { mode: 'focal' };
+            } else {
+                instance.drag = { mode: 'crop', x0: x, y0: y };
+            }
+            draw();
+        });
+
+        canvas.addEventListener('pointermove', e => {
+            if (!instance.drag) return;
+            const [x, y] = toNormalized(e);
+            if (instance.drag.mode === 'focal') {
+                setFocalFromPoint(x, y);
+            } else {
+                instance.edit.crop = cropFromDrag(instance.drag.x0, instance.drag.y0, x, y);
+            }
+            draw();
+        });
+
+        canvas.addEventListener('pointerup', () => {
+            if (!instance.drag) return;
+            const { crop } = instance.edit;
+            // クリックだけの場合は切り抜きを解除する
+            if (instance.drag.mode === 'crop' && crop && (crop.w < 0.02 || crop.h < 0.02)) {
+                instance.edit.crop = null;
+            }
+            instance.drag = null;
+            draw();
+        });
+
+        document.getElementById('photo-edit-rotate').addEventListener('click', () => {
+            instance.edit.rotation = (instance.edit.rotation + 90) % 360;
+            instance.edit.crop = null;
+            refreshRotated();
+        });
+
+        document.getElementById('photo-edit-reset').addEventListener('click', () => {
+            instance.edit = createDefaultEdit();
+            displayModeSelect.value = '';
+            refreshRotated();
+        });
+
+        document.getElementById('photo-edit-cancel').addEventListener('click', close);
+
+        document.getElementById('photo-edit-save').addEventListener('click', () => {
+            const { photo, edit, quality, onSave } = instance;
+            const displayMode = displayModeSelect.value || null;
+            close();
+            applyEdit(photo.retouchedUrl || photo.url, edit, quality)
+                .then(edited => onSave(photo, { edit, edited, displayMode }))
+                .catch(err => {
+                    console.error('Photo edit failed:', err);
+                    alert('写真の編集を保存できませんでした。画像を読み込めません。');
+                });
+        });
+
+        window.addEventListener('resize', () => {
+            if (instance.photo) draw();
+        });
+
+        document.addEventListener('keydown', e => {
+            if (e.key === 'Escape' && !modal.classList.contains('hidden')) close();
+        });
+
+        instance.open = (photo, options, onSave) => {
+            instance.photo = photo;
+            instance.edit = { ...createDefaultEdit(), ...JSON.parse(JSON.stringify(photo.edit || {})) };
+            instance.cellRatio = options.cellRatio || 4 / 3;
+            instance.quality = options.quality;
+            instance.onSave = onSave;
+            displayModeSelect.value = photo.displayMode || '';
+            modeRadios[0].checked = true;
+            // 補正・マスキングした写真は、その画像を回転・切り抜きする
+            loadImage(photo.retouchedUrl || photo.url).then(img => {
+                instance.img = img;
+                modal.classList.remove('hidden');
+                refreshRotated();
+            }).catch(err => {
+                console.error('Photo editor failed to load the image:', err);
+                close();
+                alert('写真を読み込めないため、編集画面を開けません。');
+            });
+        };
+
+        return instance;
+    }
+
+    /**
+     * 編集画面を開く
+     * options: { cellRatio: 写真枠の縦横比, quality: JPEG画質 }
+     * 保存時に onSave(photo, { edit, edited, displayMode }) が呼ばれる(editedは生成画像、未編集ならnull)
+     */
+    function open(photo, options, onSave) {
+        if (!editor) editor = setupEditor();
+        editor.open(photo, options, onSave);
+    }
+
+    window.PhotoEditor = { open, applyEdit, createPointMapper };
+})();
@@ -0,0 +1,257 @@
+// 写真台帳(CSV/Excel)用JavaScript
+// 表計算ソフトで作成したキャプションの取り込みと、写真台帳のCSV出力を行う
+(() => {
+    const FILENAME_HEADERS = ['ファイル名', '元ファイル名', '画像ファイル名', 'filename', 'file'];
+    const NUMBER_HEADERS = ['no', 'no.', '番号', '写真番号', '#'];
+    const FIELD_ALIASES = {
+        location: ['場所', '撮影場所', 'location'],
+        comment: ['コメント', '備考', '内容', 'comment'],
+    };
+
+    const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+
+    /**
+     * CSV文字列を2次元配列に変換する(ダブルクォート・改行を含むセルに対応)
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        const source = text.replace(/^﻿/, '');
+        for (let i = 0; i < source.length; i++) {
+            const c = source[i];
+            if (inQuotes) {
+                if (c === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+                else if (c === '"') inQuotes = false;
+                else cell += c;
+            } else if (c === '"') {
+                inQuotes = true;
+            } else if (c === ',') {
+                row.push(cell); cell = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell); rows.push(row); row = []; cell = '';
+            } else {
+                cell += c;
+            }
+        }
+        if (cell || row.length) { row.push(cell); rows.push(row); }
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * 2次元配列をExcelで開けるCSV(BOM付きUTF-8)に変換する
+     */
+    function toCsv(rows) {
+        const escapeCell = (value) => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return `﻿${rows.map(row => row.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * 文字コードを判定して読み込む(UTF-8で読めなければShift_JISとみなす)
+     */
+    function decodeText(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (e) {
+            return new TextDecoder('shift_jis').decode(buffer);
+        }
+    }
+
+    function columnIndexFromRef(ref) {
+        const letters = /^[A-Z]+/.exec(ref)[0];
+        return Array.from(letters).reduce((sum, c) => sum * 26 + c.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    /**
+     * 文字列要素(si / is)の本文を返す。ふりがな(rPh)の文字は含めない
+     */
+    function getRichText(element) {
+        if (!element) return '';
+        return Array.from(element.getElementsByTagName('t'))
+            .filter(t => t.parentNode.nodeName !== 'rPh')
+            .map(t => t.textContent)
+            .join('');
+    }
+
+    /**
+     * XLSXの最初のシートを2次元配列として読み込む
+     */
+    async function readXlsx(buffer) {
+        const entries = window.ZipArchive.readZip(buffer);
+        const parse = async (name) => {
+            const entry = entries.get(name);
+            return entry ? new DOMParser().parseFromString(await entry.text(), 'application/xml') : null;
+        };
+
+        const sharedStringsDoc = await parse('xl/sharedStrings.xml');
+        const sharedStrings = sharedStringsDoc
+            ? Array.from(sharedStringsDoc.getElementsByTagName('si')).map(getRichText)
+            : [];
+
+        // ブックの最初のシートの実体ファイルを関係定義から求める
+        const workbook = await parse('xl/workbook.xml');
+        const rels = await parse('xl/_rels/workbook.xml.rels');
+        let sheetPath = 'xl/worksheets/sheet1.xml';
+        const firstSheet = workbook && workbook.getElementsByTagName('sheet')[0];
+        if (firstSheet && rels) {
+            const relId = firstSheet.getAttribute('r:id');
+            const rel = Array.from(rels.getElementsByTagName('Relationship')).find(r => r.getAttribute('Id') === relId);
+            if (rel) sheetPath = `xl/${rel.getAttribute('Target').replace(/^\/?xl\//, '')}`;
+        }
+
+        const sheet = await parse(sheetPath);
+        if (!sheet) throw new Error('シートが見つかりません');
+        const rows = [];
+        Array.from(sheet.getElementsByTagName('row')).forEach(rowElement => {
+            const rowIndex = Number(rowElement.getAttribute('r')) - 1;
+            const row = [];
+            Array.from(rowElement.getElementsByTagName('c')).forEach(cell => {
+                const type = cell.getAttribute('t');
+                const valueElement = cell.getElementsByTagName('v')[0];
+                let value = '';
+                if (type === 's' && valueElement) value = sharedStrings[Number(valueElement.textContent)] || '';
+                else if (type === 'inlineStr') value = getRichText(cell.getElementsByTagName('is')[0]);
+                else if (valueElement) value = valueElement.textContent;
+                row[columnIndexFromRef(cell.getAttribute('r'))] = value;
+            });
+            rows[rowIndex] = Array.from(row, value => value ?? '');
+        });
+        return Array.from(rows, row => row || []).filter(r => r.some(value => String(value).trim() !== ''));
+    }
+
+    /**
+     * CSVまたはXLSXファイルを読み込み、2次元配列を返す
+     */
+    function readSpreadsheet(file) {
+        return file.arrayBuffer().then(buffer => {
+            if (/\.xlsx$/i.test(file.name)) return readXlsx(buffer);
+            return parseCsv(decodeText(buffer));
+        });
+    }
+
+    /**
+     * 見出し行から、ファイル名・番号・各項目の列位置を求める
+     * fields: 取り込み対象の項目 [{ id, label }]
+     */
+    function mapColumns(headerRow, fields) {
+        const headers = headerRow.map(normalizeHeader);
+        const find = (candidates) => headers.findIndex(header => candidates.map(normalizeHeader).includes(header));
+        const fieldColumns = {};
+        fields.forEach(field => {
+            const index = find([field.label, field.id, ...(FIELD_ALIASES[field.id] || [])]);
+            if (index !== -1) fieldColumns[field.id] = index;
+        });
+        return { filename: find(FILENAME_HEADERS), number: find(NUMBER_HEADERS), fields: fieldColumns };
+    }
+
+    function stripExtension(name) {
+        return String(name || '').trim().toLowerCase().replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * 各行を写真に対応付ける
+     * mode: 'filename'(元ファイル名で照合) / 'position'(番号列または行の順番で照合)
+     */
+    function matchRows(rows, photos, fields, mode) {
+        const [headerRow, ...dataRows] = rows;
+        const columns = mapColumns(headerRow || [], fields);
+        const usedPhotos = new Set();
+        const matches = dataRows.map((row, index) => {
+            let photo = null;
+            if (mode === 'filename' && columns.filename !== -1) {
+                const name = String(row[columns.filename] || '').trim().toLowerCase();
+                photo = photos.find(p => (p.originalName || '').toLowerCase() === name)
+                    || photos.find(p => stripExtension(p.originalName) === stripExtension(name)) || null;
+            } else if (mode === 'position') {
+                const number = columns.number !== -1 ? parseInt(row[columns.number], 10) : index + 1;
+                photo = photos[number - 1] || null;
+            }
+            if (photo && usedPhotos.has(photo)) photo = null; // 同じ写真への重複した対応付けは無視する
+            if (photo) usedPhotos.add(photo);
+            // 空欄のセルは既存の入力を消さないよう取り込み対象にしない
+            const values = {};
+            Object.entries(columns.fields).forEach(([fieldId, columnIndex]) => {
+                const value = String(row[columnIndex] ?? '').trim();
+                if (value) values[fieldId] = value;
+            });
+            return { rowNumber: index + 2, row, photo, values };
+        });
+        return {
+            columns,
+            matches,
+            unmatchedPhotos: photos.filter(photo => !usedPhotos.has(photo)),
+        };
+    }
+
+    // --- 取り込みプレビュー画面 ---
+
+    let importer = null;
+
+    function setupImporter() {
+        const modal = document.getElementById('ledger-import-modal');
+        const modeSelect = document.getElementById('ledger-import-mode');
+        const summary = document.getElementById('ledger-import-summary');
+        const table = document.getElementById('ledger-import-table');
+        const applyButton = document.getElementById('ledger-import-apply');
+        const instance = { rows: null, context: null, result: null };
+
+        const renderPreview = () => {
+            const { photos, fields, getThumbnailUrl } = instance.context;
+            instance.result = matchRows(instance.rows, photos, fields, modeSelect.value);
+            const { columns, matches, unmatchedPhotos } = instance.result;
+            const mappedFields = fields.filter(field => field.id in columns.fields);
+            const matchedCount = matches.filter(match => match.photo).length;
+
+            summary.innerHTML = mappedFields.length === 0
+                ? '<span class="text-red-500">取り込める列が見つかりません。1行目に「場所」「コメント」などの見出しを入れてください。</span>'
+                : `取り込む列: ${mappedFields.map(field => field.label).join('、')} ／ 一致 ${matchedCount}行・不一致 ${matches.length - matchedCount}行・対応する行がない写真 ${unmatchedPhotos.length}枚`
+                    + (modeSelect.value === 'filename' && columns.filename === -1 ? '<br><span class="text-red-500">「ファイル名」列がありません。</span>' : '');
+
+            table.innerHTML = `<thead><tr><th>行</th><th>写真</th>${mappedFields.map(field => `<th>${window.DomUtils.escapeHtml(field.label)}</th>`).join('')}</tr></thead>
+                <tbody>${matches.map(match => {
+                    const photoCell = match.photo
+                        ? `<div class="flex items-center gap-2"><img src="${getThumbnailUrl(match.photo)}" class="ledger-thumb">No.${photos.indexOf(match.photo) + 1}</div>`
+                        : '<span class="text-red-500">一致なし</span>';
+                    return `<tr class="${match.photo ? '' : 'ledger-unmatched'}"><td>${match.rowNumber}</td><td>${photoCell}</td>${mappedFields.map(field => `<td>${window.DomUtils.escapeHtml(match.values[field.id] || '')}</td>`).join('')}</tr>`;
+                }).join('')}</tbody>`;
+            applyButton.disabled = matchedCount === 0 || mappedFields.length === 0;
+        };
+
+        const close = () => modal.classList.add('hidden');
+
+        modeSelect.addEventListener('change', renderPreview);
+        document.getElementById('ledger-import-cancel').addEventListener('click', close);
+        applyButton.addEventListener('click', () => {
+            const assignments = instance.result.matches.filter(match => match.photo)
+                .map(match => ({ photo: match.photo, values: match.values }));
+            close();
+            instance.context.onApply(assignments);
+        });
+
+        instance.open = (rows, context) => {
+            instance.rows = rows;
+            instance.context = context;
+            const columns = mapColumns(rows[0] || [], context.fields);
+            modeSelect.value = columns.filename !== -1 && context.photos.some(photo => photo.originalName) ? 'filename' : 'position';
+            renderPreview();
+            modal.classList.remove('hidden');
+        };
+        return instance;
+    }
+
+    /**
+     * 取り込みプレビューを開く。確定するまで写真には反映しない
+     * context: { photos, fields: [{ id, label }], getThumbnailUrl(photo), onApply(assignments) }
+     */
+    function openImport(rows, context) {
+        if (!importer) importer = setupImporter();
+        importer.open(rows, context);
+    }
+
+    window.PhotoLedger = { parseCsv, toCsv, readSpreadsheet, matchRows, openImport };
+})();
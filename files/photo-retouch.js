@@ -0,0 +1,495 @@
+// 写真の補正・マスキング用JavaScript
+// 明るさ・コントラスト・自動レベル補正・シャープネスの補正と、顔・表札・ナンバープレートなどを隠すマスキングを行う
+// 元画像は変更せず、補正内容(photo.retouch)から出力用の画像を生成する。生成した画像のマスキング部分は元に戻せない
+//
+// photo.retouch = { brightness, contrast(-100〜100), autoLevels, sharpen(0〜100), redactions }
+// redactions の座標は回転・切り抜き前の元画像に対する割合(0〜1)
+//   { shape: 'rect', x, y, w, h, effect }  四角形
+//   { shape: 'brush', points: [[x, y], ...], size: 太さ(画像の短辺に対する割合), effect }  ブラシ
+(() => {
+    const EFFECTS = {
+        mosaic: 'モザイク',
+        blur: 'ぼかし',
+        fill: '塗りつぶし',
+    };
+    const FILL_COLOR = '#000000';
+    const OUTLINE_COLOR = '#3b82f6';
+    const DEFAULT_BRUSH_SIZE = 0.06;
+    const LEVELS_CLIP = 0.005; // 自動レベル補正で切り捨てる暗部・明部の割合
+    const PREVIEW_MAX_SIZE = 1200; // 編集画面で補正を試す画像の長辺
+
+    let editor = null;
+
+    function createDefaultRetouch() {
+        return { brightness: 0, contrast: 0, autoLevels: false, sharpen: 0, redactions: [] };
+    }
+
+    function hasAdjustments(retouch) {
+        return !!retouch && !!(retouch.brightness || retouch.contrast || retouch.autoLevels || retouch.sharpen);
+    }
+
+    function hasRedactions(retouch) {
+        return !!retouch && Array.isArray(retouch.redactions) && retouch.redactions.length > 0;
+    }
+
+    function clampNumber(value, min, max) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : 0;
+    }
+
+    function isRatio(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    /**
+     * 保存データなどから読み込んだ補正内容の不正な値を取り除く。補正もマスキングもなければ null を返す
+     */
+    function normalizeRetouch(retouch) {
+        if (!retouch || typeof retouch !== 'object') return null;
+        const redactions = (Array.isArray(retouch.redactions) ? retouch.redactions : []).filter(redaction => {
+            if (!redaction || typeof redaction !== 'object') return false;
+            if (redaction.shape === 'rect') return ['x', 'y', 'w', 'h'].every(key => isRatio(redaction[key]));
+            return redaction.shape === 'brush' && isRatio(redaction.size) && Array.isArray(redaction.points)
+                && redaction.points.length > 0 && redaction.points.every(point => Array.isArray(point) && isRatio(point[0]) && isRatio(point[1]));
+        }).map(redaction => ({ ...redaction, effect: EFFECTS[redaction.effect] ? redaction.effect : 'mosaic' }));
+        const normalized = {
+            brightness: clampNumber(retouch.brightness, -100, 100),
+            contrast: clampNumber(retouch.contrast, -100, 100),
+            autoLevels: retouch.autoLevels === true,
+            sharpen: clampNumber(retouch.sharpen, 0, 100),
+            redactions,
+        };
+        return hasAdjustments(normalized) || hasRedactions(normalized) ? normalized : null;
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+    }
+
+    function createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // --- 明るさ・コントラスト・シャープネス ---
+
+    /**
+     * 自動レベル補正の範囲(暗部・明部のわずかな画素を除いた明るさの最小・最大)
+     * 色かぶりを変えないよう、RGBそれぞれではなく明るさで求める
+     */
+    function getLevels(data) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < data.length; i += 4) {
+            histogram[Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114)]++;
+        }
+        const clip = (data.length / 4) * LEVELS_CLIP;
+        let low = 0;
+        let high = 255;
+        for (let sum = 0; low < 255 && sum + histogram[low] <= clip; low++) sum += histogram[low];
+        for (let sum = 0; high > 0 && sum + histogram[high] <= clip; high--) sum += histogram[high];
+        return high > low ? { low, high } : { low: 0, high: 255 };
+    }
+
+    /**
+     * 自動レベル補正・明るさ・コントラストをまとめた変換表
+     */
+    function createToneTable(retouch, levels) {
+        const table = new Uint8ClampedArray(256);
+        const contrast = retouch.contrast * 1.28;
+        const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+        for (let value = 0; value < 256; value++) {
+            let tone = levels ? (value - levels.low) * 255 / (levels.high - levels.low) : value;
+            tone += retouch.brightness * 1.28;
+            table[value] = factor * (tone - 128) + 128;
+        }
+        return table;
+    }
+
+    /**
+     * 上下左右の画素との差を強めて輪郭をくっきりさせる
+     */
+    function sharpenImage(imageData, amount) {
+        const { width, height, data } = imageData;
+        const source = new Uint8ClampedArray(data);
+        const strength = amount / 200;
+        const stride = width * 4;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * stride + x * 4;
+                for (let c = 0; c < 3; c++) {
+                    const neighbors = source[i - 4 + c] + source[i + 4 + c] + source[i - stride + c] + source[i + stride + c];
+                    data[i + c] = source[i + c] * (1 + 4 * strength) - neighbors * strength;
+                }
+            }
+        }
+    }
+
+    function applyAdjustments(canvas, retouch) {
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const { data } = imageData;
+        if (retouch.autoLevels || retouch.brightness || retouch.contrast) {
+            const table = createToneTable(retouch, retouch.autoLevels ? getLevels(data) : null);
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = table[data[i]];
+                data[i + 1] = table[data[i + 1]];
+                data[i + 2] = table[data[i + 2]];
+            }
+        }
+        if (retouch.sharpen) sharpenImage(imageData, retouch.sharpen);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    // --- マスキング ---
+
+    /**
+     * 画像全体にマスキングの効果をかけたキャンバスを作る(この中からマスキング範囲だけを切り出して重ねる)
+     * モザイク・ぼかしは縮小してから拡大し直すため、元の画素は復元できない
+     */
+    function createEffectCanvas(canvas, effect) {
+        const effectCanvas = createCanvas(canvas.width, canvas.height);
+        const ctx = effectCanvas.getContext('2d');
+        if (effect === 'fill') {
+            ctx.fillStyle = FILL_COLOR;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            return effectCanvas;
+        }
+        const shortSide = Math.min(canvas.width, canvas.height);
+        const cellSize = Math.max(4, Math.round(shortSide / (effect === 'mosaic' ? 40 : 30)));
+        const small = createCanvas(Math.max(1, Math.ceil(canvas.width / cellSize)), Math.max(1, Math.ceil(canvas.height / cellSize)));
+        const smallCtx = small.getContext('2d');
+        smallCtx.imageSmoothingQuality = 'high';
+        smallCtx.drawImage(canvas, 0, 0, small.width, small.height);
+        ctx.imageSmoothingEnabled = effect !== 'mosaic';
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(small, 0, 0, canvas.width, canvas.height);
+        return effectCanvas;
+    }
+
+    /**
+     * マスキング範囲の形を ctx に描く
+     */
+    function drawRedactionShape(ctx, redaction, width, height) {
+        if (redaction.shape === 'rect') {
+            ctx.fillRect(redaction.x * width, redaction.y * height, redaction.w * width, redaction.h * height);
+            return;
+        }
+        const lineWidth = redaction.size * Math.min(width, height);
+        const [first, ...rest] = redaction.points;
+        ctx.beginPath();
+        if (rest.length === 0) {
+            ctx.arc(first[0] * width, first[1] * height, lineWidth / 2, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.moveTo(first[0] * width, first[1] * height);
+        rest.forEach(([x, y]) => ctx.lineTo(x * width, y * height));
+        ctx.stroke();
+    }
+
+    function applyRedactions(canvas, redactions) {
+        const ctx = canvas.getContext('2d');
+        Object.keys(EFFECTS).forEach(effect => {
+            const targets = redactions.filter(redaction => redaction.effect === effect);
+            if (targets.length === 0) return;
+            // 範囲の形を描いたキャンバスに、効果をかけた画像を範囲の部分だけ合成する
+            const mask = createCanvas(canvas.width, canvas.height);
+            const maskCtx = mask.getContext('2d');
+            targets.forEach(redaction => drawRedactionShape(maskCtx, redaction, canvas.width, canvas.height));
+            maskCtx.globalCompositeOperation = 'source-in';
+            maskCtx.drawImage(createEffectCanvas(canvas, effect), 0, 0);
+            ctx.drawImage(mask, 0, 0);
+        });
+    }
+
+    /**
+     * 画像に補正とマスキングを適用したキャンバスを返す
+     */
+    function renderToCanvas(image, retouch, width, height) {
+        const canvas = createCanvas(width, height);
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        if (hasAdjustments(retouch)) applyAdjustments(canvas, retouch);
+        if (hasRedactions(retouch)) applyRedactions(canvas, retouch.redactions);
+        return canvas;
+    }
+
+    /**
+     * 補正内容を適用した画像を生成する。補正もマスキングもなければnullを返す
+     */
+    function applyRetouch(src, retouch, quality) {
+        if (!hasAdjustments(retouch) && !hasRedactions(retouch)) return Promise.resolve(null);
+        return loadImage(src).then(img => {
+            const canvas = renderToCanvas(img, retouch, img.naturalWidth, img.naturalHeight);
+            return { url: canvas.toDataURL('image/jpeg', quality), width: canvas.width, height: canvas.height };
+        });
+    }
+
+    /**
+     * マスキングだけを適用した画像の data URL を返す(電子納品の元画像など、補正をかけずに出力する画像用)
+     * 生成した画像には撮影情報(EXIF)は含まれない
+     */
+    function applyRedactionsOnly(src, redactions, quality) {
+        return applyRetouch(src, { ...createDefaultRetouch(), redactions }, quality).then(result => (result ? result.url : src));
+    }
+
+    // --- 編集画面 ---
+
+    /**
+     * 回転した表示上の位置(割合)を元画像上の位置(割合)に変換する
+     */
+    function toSourcePoint(u, v, rotation) {
+        switch (rotation) {
+            case 90: return [v, 1 - u];
+            case 180: return [1 - u, 1 - v];
+            case 270: return [1 - v, u];
+            default: return [u, v];
+        }
+    }
+
+    function fromSourcePoint(x, y, rotation) {
+        switch (rotation) {
+            case 90: return [1 - y, x];
+            case 180: return [1 - x, 1 - y];
+            case 270: return [y, 1 - x];
+            default: return [x, y];
+        }
+    }
+
+    function setupEditor() {
+        const modal = document.getElementById('retouch-modal');
+        const canvas = document.getElementById('retouch-canvas');
+        const wrapper = canvas.parentElement;
+        const ctx = canvas.getContext('2d');
+        const brightnessInput = document.getElementById('retouch-brightness');
+        const contrastInput = document.getElementById('retouch-contrast');
+        const sharpenInput = document.getElementById('retouch-sharpen');
+        const autoLevelsCheckbox = document.getElementById('retouch-auto-levels');
+        const toolRadios = modal.querySelectorAll('input[name="retouchTool"]');
+        const effectSelect = document.getElementById('retouch-effect');
+        const brushSizeInput = document.getElementById('retouch-brush-size');
+        const needsRedactionCheckbox = document.getElementById('retouch-needs-redaction');
+        const batchNote = document.getElementById('retouch-batch-note');
+
+        effectSelect.innerHTML = Object.entries(EFFECTS).map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+
+        const instance = {
+            photo: null,
+            base: null, // 編集画面用に縮小した元画像
+            processed: null, // base に補正・マスキングを適用したもの
+            retouch: createDefaultRetouch(),
+            rotation: 0,
+            drag: null,
+            onSave: null,
+        };
+
+        const currentTool = () => Array.from(toolRadios).find(r => r.checked).value;
+
+        /**
+         * キャンバスに画像を回転して描く
+         */
+        const drawRotated = (source) => {
+            const swap = instance.rotation === 90 || instance.rotation === 270;
+            ctx.save();
+            ctx.translate(canvas.width / 2, canvas.height / 2);
+            ctx.rotate(instance.rotation * Math.PI / 180);
+            const [width, height] = swap ? [canvas.height, canvas.width] : [canvas.width, canvas.height];
+            ctx.drawImage(source, -width / 2, -height / 2, width, height);
+            ctx.restore();
+        };
+
+        /**
+         * ドラッグ中の範囲を枠線で示す
+         */
+        const drawDragOutline = () => {
+            const { drag } = instance;
+            if (!drag) return;
+            ctx.strokeStyle = OUTLINE_COLOR;
+            ctx.fillStyle = 'rgb(59 130 246 / 0.3)';
+            ctx.lineWidth = 2;
+            if (drag.shape === 'rect') {
+                const [u0, v0] = fromSourcePoint(drag.start[0], drag.start[1], instance.rotation);
+                const [u1, v1] = fromSourcePoint(drag.end[0], drag.end[1], instance.rotation);
+                ctx.strokeRect(u0 * canvas.width, v0 * canvas.height, (u1 - u0) * canvas.width, (v1 - v0) * canvas.height);
+                return;
+            }
+            ctx.strokeStyle = 'rgb(59 130 246 / 0.5)';
+            drawRedactionShape(ctx, {
+                shape: 'brush',
+                size: drag.size,
+                points: drag.points.map(([x, y]) => fromSourcePoint(x, y, instance.rotation)),
+            }, canvas.width, canvas.height);
+        };
+
+        const draw = () => {
+            const swap = instance.rotation === 90 || instance.rotation === 270;
+            const [width, height] = swap ? [instance.base.height, instance.base.width] : [instance.base.width, instance.base.height];
+            const scale = Math.min(wrapper.clientWidth / width, wrapper.clientHeight / height);
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+            drawRotated(instance.processed);
+            drawDragOutline();
+        };
+
+        const refreshProcessed = () => {
+            instance.processed = renderToCanvas(instance.base, instance.retouch, instance.base.width, instance.base.height);
+            draw();
+        };
+
+        const syncInputs = () => {
+            brightnessInput.value = instance.retouch.brightness;
+            contrastInput.value = instance.retouch.contrast;
+            sharpenInput.value = instance.retouch.sharpen;
+            autoLevelsCheckbox.checked = instance.retouch.autoLevels;
+        };
+
+        const toSourcePosition = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const u = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+            const v = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+            return toSourcePoint(u, v, instance.rotation);
+        };
+
+        const close = () => {
+            modal.classList.add('hidden');
+            instance.photo = null;
+            instance.base = null;
+            instance.processed = null;
+        };
+
+        [[brightnessInput, 'brightness'], [contrastInput, 'contrast'], [sharpenInput, 'sharpen']].forEach(([input, key]) => {
+            input.addEventListener('input', () => {
+                instance.retouch[key] = Number(input.value);
+                refreshProcessed();
+            });
+        });
+
+        autoLevelsCheckbox.addEventListener('change', () => {
+            instance.retouch.autoLevels = autoLevelsCheckbox.checked;
+            refreshProcessed();
+        });
+
+        canvas.addEventListener('pointerdown', e => {
+            e.preventDefault();
+            canvas.setPointerCapture(e.pointerId);
+            const point = toSourcePosition(e);
+            instance.drag = currentTool() === 'brush'
+                ? { shape: 'brush', points: [point], size: Number(brushSizeInput.value) / 100 || DEFAULT_BRUSH_SIZE }
+                : { shape: 'rect', start: point, end: point };
+            draw();
+        });
+
+        canvas.addEventListener('pointermove', e => {
+            if (!instance.drag) return;
+            const point = toSourcePosition(e);
+            if (instance.drag.shape === 'brush') instance.drag.points.push(point);
+            else instance.drag.end = point;
+            draw();
+        });
+
+        canvas.addEventListener('pointerup', () => {
+            const { drag } = instance;
+            if (!drag) return;
+            instance.drag = null;
+            let redaction = null;
+            if (drag.shape === 'brush') {
+                redaction = { shape: 'brush', points: drag.points, size: drag.size };
+            } else {
+                const [x0, x1] = [drag.start[0], drag.end[0]].sort((a, b) => a - b);
+                const [y0, y1] = [drag.start[1], drag.end[1]].sort((a, b) => a - b);
+                // クリックだけの場合は範囲を作らない
+                if (x1 - x0 >= 0.01 && y1 - y0 >= 0.01) redaction = { shape: 'rect', x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+            }
+            if (!redaction) {
+                draw();
+                return;
+            }
+            instance.retouch.redactions.push({ ...redaction, effect: effectSelect.value });
+            // マスキングを始めたら「要マスキング」の印を外す(残す場合は付け直す)
+            needsRedactionCheckbox.checked = false;
+            refreshProcessed();
+        });
+
+        document.getElementById('retouch-undo-redaction').addEventListener('click', () => {
+            if (instance.retouch.redactions.pop()) refreshProcessed();
+        });
+
+        document.getElementById('retouch-reset').addEventListener('click', () => {
+            instance.retouch = createDefaultRetouch();
+            syncInputs();
+            refreshProcessed();
+        });
+
+        document.getElementById('retouch-cancel').addEventListener('click', close);
+
+        document.getElementById('retouch-save').addEventListener('click', () => {
+            const { photo, retouch, onSave } = instance;
+            close();
+            onSave(photo, { retouch: normalizeRetouch(retouch), needsRedaction: needsRedactionCheckbox.checked });
+        });
+
+        window.addEventListener('resize', () => {
+            if (instance.photo) draw();
+        });
+
+        document.addEventListener('keydown', e => {
+            if (e.key === 'Escape' && !modal.classList.contains('hidden')) close();
+        });
+
+        instance.open = (photo, options, onSave) => {
+            instance.photo = photo;
+            instance.retouch = { ...createDefaultRetouch(), ...JSON.parse(JSON.stringify(photo.retouch || {})) };
+            instance.rotation = (photo.edit && photo.edit.rotation) || 0;
+            instance.onSave = onSave;
+            syncInputs();
+            toolRadios[0].checked = true;
+            needsRedactionCheckbox.checked = !!photo.needsRedaction;
+            batchNote.textContent = options.batchCount > 1
+                ? `明るさ・コントラスト・自動補正・シャープは選択中の${options.batchCount}枚すべてに適用します。マスキングはこの写真だけに適用します。`
+                : '';
+            batchNote.classList.toggle('hidden', !(options.batchCount > 1));
+            loadImage(photo.url).then(img => {
+                const scale = Math.min(1, PREVIEW_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+                instance.base = createCanvas(Math.max(1, Math.round(img.naturalWidth * scale)), Math.max(1, Math.round(img.naturalHeight * scale)));
+                instance.base.getContext('2d').drawImage(img, 0, 0, instance.base.width, instance.base.height);
+                modal.classList.remove('hidden');
+                refreshProcessed();
+            }).catch(err => {
+                console.error('Photo retouch failed to load the image:', err);
+                close();
+                alert('写真を読み込めないため、補正・マスキングの画面を開けません。');
+            });
+        };
+
+        return instance;
+    }
+
+    /**
+     * 補正・マスキングの画面を開く
+     * options: { batchCount: 同じ補正を適用する写真の枚数(この写真を含む) }
+     * 保存時に onSave(photo, { retouch, needsRedaction }) が呼ばれる(retouchは補正もマスキングもなければnull)
+     */
+    function open(photo, options, onSave) {
+        if (!editor) editor = setupEditor();
+        editor.open(photo, options, onSave);
+    }
+
+    window.PhotoRetouch = {
+        EFFECTS,
+        hasAdjustments,
+        hasRedactions,
+        normalizeRetouch,
+        applyRetouch,
+        applyRedactionsOnly,
+        open,
+    };
+})();
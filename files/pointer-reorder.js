@@ -0,0 +1,127 @@
+// タッチ操作での並び替え用JavaScript
+// ドラッグハンドルを指やペンで押したまま動かして項目を移動する(HTML5のドラッグ＆ドロップが使えないタブレット向け)
+(() => {
+    const AUTO_SCROLL_EDGE = 60; // スクロール領域の端からこの距離(px)に入ると自動スクロールする
+    const AUTO_SCROLL_SPEED = 12; // 1フレームあたりのスクロール量(px)
+
+    /**
+     * 要素を含むスクロール領域を返す
+     */
+    function findScrollContainer(element) {
+        for (let node = element.parentElement; node; node = node.parentElement) {
+            const overflowY = window.getComputedStyle(node).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+        }
+        return document.scrollingElement || document.documentElement;
+    }
+
+    /**
+     * ドラッグ中に指の位置に表示する縮小画像
+     */
+    function createGhost(item) {
+        const ghost = document.createElement('div');
+        ghost.className = 'pointer-drag-ghost';
+        const img = item.querySelector('img');
+        if (img && img.src) {
+            const copy = document.createElement('img');
+            copy.src = img.src;
+            ghost.appendChild(copy);
+        }
+        document.body.appendChild(ghost);
+        return ghost;
+    }
+
+    /**
+     * container 内の項目をポインター操作で並び替えられるようにする
+     * マウスは従来のドラッグ＆ドロップを使うため、指・ペンの操作だけを扱う
+     * options:
+     *   handleSelector: 押してドラッグを始める要素(CSSで touch-action: none にする)
+     *   itemSelector: 並び替える項目
+     *   getDropTarget(element): 指の下の要素からドロップ先を返す(なければ null)
+     *   onHover(item, target, event): ドロップ先の表示を更新する
+     *   onDrop(item, target, event): ドロップ先が決まったときに呼ばれる
+     *   onEnd(): ドラッグの終了時(中止を含む)に呼ばれる
+     */
+    function attach(container, options) {
+        let drag = null;
+
+        const moveGhost = (event) => {
+            drag.ghost.style.left = `${event.clientX}px`;
+            drag.ghost.style.top = `${event.clientY}px`;
+        };
+
+        const updateTarget = () => {
+            const element = document.elementFromPoint(drag.lastEvent.clientX, drag.lastEvent.clientY);
+            const target = element ? options.getDropTarget(element) : null;
+            drag.target = target && target !== drag.item ? target : null;
+            options.onHover(drag.item, drag.target, drag.lastEvent);
+        };
+
+        // 指が領域の端にある間はスクロールを続ける
+        const autoScroll = () => {
+            if (!drag) return;
+            const rect = drag.scrollContainer === document.scrollingElement
+                ? { top: 0, bottom: window.innerHeight }
+                : drag.scrollContainer.getBoundingClientRect();
+            const y = drag.lastEvent.clientY;
+            let delta = 0;
+            if (y < rect.top + AUTO_SCROLL_EDGE) delta = -AUTO_SCROLL_SPEED;
+            else if (y > rect.bottom - AUTO_SCROLL_EDGE) delta = AUTO_SCROLL_SPEED;
+            if (delta !== 0) {
+                drag.scrollContainer.scrollTop += delta;
+                updateTarget();
+            }
+            drag.scrollFrame = requestAnimationFrame(autoScroll);
+        };
+
+        const finish = (drop) => {
+            if (!drag) return;
+            const { item, target, lastEvent, ghost, scrollFrame } = drag;
+            drag = null;
+            cancelAnimationFrame(scrollFrame);
+            ghost.remove();
+            item.classList.remove('dragging');
+            options.onEnd();
+            if (drop && target) options.onDrop(item, target, lastEvent);
+        };
+
+        container.addEventListener('pointerdown', e => {
+            if (e.pointerType === 'mouse' || drag) return;
+            const handle = e.target.closest(options.handleSelector);
+            const item = handle && handle.closest(options.itemSelector);
+            if (!item || !container.contains(item)) return;
+            e.preventDefault();
+            handle.setPointerCapture(e.pointerId);
+            item.classList.add('dragging');
+            drag = {
+                pointerId: e.pointerId,
+                item,
+                target: null,
+                lastEvent: e,
+                ghost: createGhost(item),
+                scrollContainer: findScrollContainer(item),
+                scrollFrame: null,
+            };
+            moveGhost(e);
+            drag.scrollFrame = requestAnimationFrame(autoScroll);
+        });
+
+        container.addEventListener('pointermove', e => {
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            e.preventDefault();
+            drag.lastEvent = e;
+            moveGhost(e);
+            updateTarget();
+        });
+
+        container.addEventListener('pointerup', e => {
+            if (drag && e.pointerId === drag.pointerId) finish(true);
+        });
+
+        container.addEventListener('pointercancel', e => {
+            if (drag && e.pointerId === drag.pointerId) finish(false);
+        });
+    }
+
+    window.PointerReorder = { attach };
+})();
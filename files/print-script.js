@@ -1,23 +1,366 @@
 // 印刷用JavaScript
 document.addEventListener('DOMContentLoaded', () => {
     const printButton = document.getElementById('print-button');
-    
+    const pdfButton = document.getElementById('pdf-button');
+    const previewContainer = document.getElementById('preview-container');
+
+    /**
+     * 出力してよいかアプリ本体に確認する(「要マスキング」の写真がある場合など、取り消されると false)
+     */
+    function confirmOutput(action) {
+        return document.dispatchEvent(new CustomEvent('preview-output-request', { cancelable: true, detail: { action } }));
+    }
+
+    /**
+     * プレビューの全ページを描画し、画像の読み込みを待ってから印刷ダイアログを開く(外部連携APIからも使う)
+     * 描画したページは印刷ダイアログを閉じたとき(afterprint)に元に戻る
+     */
+    function printPreview() {
+        document.dispatchEvent(new CustomEvent('preview-output-start', { detail: { type: 'print' } }));
+        const images = previewContainer.querySelectorAll('.a4-page-container img');
+        return Promise.all(Array.from(images).map(img => img.decode().catch(() => {})))
+            .then(() => window.print());
+    }
+
+    /**
+     * 出力の確認をしてから印刷する(印刷ボタン・Ctrl+P)
+     */
+    function requestPrint() {
+        if (!confirmOutput('印刷')) return;
+        if (printButton) printButton.disabled = true;
+        printPreview().finally(() => {
+            if (printButton) printButton.disabled = false;
+        });
+    }
+
     // 印刷機能
     if (printButton) {
-        printButton.addEventListener('click', () => {
-            window.print();
+        printButton.addEventListener('click', requestPrint);
+    }
+
+    // Ctrl+P(Macは⌘P)もブラウザの印刷ではなく、確認と準備をしてから印刷する
+    // ブラウザのメニューからの印刷は止められないため、確認は表示されない
+    document.addEventListener('keydown', e => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'p') return;
+        e.preventDefault();
+        requestPrint();
+    });
+
+    /**
+     * プレビューの全ページをPDFにする(外部連携APIからも使う)
+     */
+    function createPreviewPdf() {
+        // 画面から離れたページも含めて、すべてのページを描画してもらう
+        document.dispatchEvent(new CustomEvent('preview-output-start', { detail: { type: 'pdf' } }));
+        const pages = previewContainer.querySelectorAll('.a4-page-container');
+        return exportPreviewToPdf(pages)
+            .finally(() => document.dispatchEvent(new CustomEvent('preview-output-end')));
+    }
+
+    window.PreviewOutput = { print: printPreview, createPdf: createPreviewPdf };
+
+    // PDF出力機能
+    if (pdfButton) {
+        pdfButton.addEventListener('click', () => {
+            const pages = previewContainer.querySelectorAll('.a4-page-container');
+            if (pages.length === 0) {
+                alert('出力する写真がありません。');
+                return;
+            }
+            if (!confirmOutput('PDFを出力')) return;
+            pdfButton.disabled = true;
+            createPreviewPdf()
+                .then(blob => window.DomUtils.downloadBlob(blob, getPdfFileName()))
+                .catch(err => {
+                    alert('PDFの作成に失敗しました。');
+                    console.error(err);
+                })
+                .finally(() => {
+                    pdfButton.disabled = false;
+                });
         });
     }
-    
+
     // 印刷前の処理（必要に応じて拡張）
     window.addEventListener('beforeprint', () => {
         console.log('印刷プレビューが開かれました');
         // 印刷前に必要な処理があればここに追加
     });
-    
+
     // 印刷後の処理（必要に応じて拡張）
     window.addEventListener('afterprint', () => {
         console.log('印刷プレビューが閉じられました');
         // 印刷後に必要な処理があればここに追加
     });
-});
\ No newline at end of file
+
+    // --- PDF出力用ヘルパー関数 ---
+
+    const PX_TO_PT = 0.75; // CSSの1px = 1/96inch = 0.75pt
+
+    function getPdfFileName() {
+        const siteName = document.getElementById('siteName').value;
+        const date = document.getElementById('date').value;
+        const parts = ['genba', siteName || '現場データ', date].filter(Boolean);
+        return `${parts.join('_')}.pdf`;
+    }
+
+    /**
+     * CSSの色文字列を0〜1のRGB配列に変換(透明ならnull)
+     */
+    function parseColor(value) {
+        const hex = /^#([0-9a-f]{6})$/i.exec(value || '');
+        if (hex) {
+            return [0, 2, 4].map(i => Number((parseInt(hex[1].slice(i, i + 2), 16) / 255).toFixed(3)));
+        }
+        const match = /rgba?\(([^)]+)\)/.exec(value || '');
+        if (!match) return null;
+        const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        if (a === 0) return null;
+        return [r / 255, g / 255, b / 255].map(v => Number(v.toFixed(3)));
+    }
+
+    /**
+     * プレビューのページ要素をそのままPDFのページに変換する
+     */
+    async function exportPreviewToPdf(pages) {
+        const pdf = window.PdfWriter.createPdfDocument();
+        for (const page of pages) {
+            await Promise.all(Array.from(page.querySelectorAll('img')).map(img => img.decode().catch(() => {})));
+            renderPageToPdf(pdf, page);
+        }
+        return pdf.build();
+    }
+
+    function renderPageToPdf(pdf, pageElement) {
+        const pageRect = pageElement.getBoundingClientRect();
+        const pageWidth = pageElement.offsetWidth * PX_TO_PT;
+        const pageHeight = pageElement.offsetHeight * PX_TO_PT;
+        // プレビューはズームで拡大縮小されているため、画面上の座標からptへの倍率を求める
+        const scale = pageWidth / pageRect.width;
+        const toPageBox = (rect) => ({
+            x: (rect.left - pageRect.left) * scale,
+            top: (rect.top - pageRect.top) * scale,
+            width: rect.width * scale,
+            height: rect.height * scale,
+        });
+        const page = pdf.addPage(pageWidth, pageHeight);
+
+        pageElement.querySelectorAll('*').forEach(element => {
+            if (element.ownerSVGElement) return; // SVGの中身はdrawSvgで描画する
+            if (element.closest('.no-print')) return; // プレビュー専用の操作欄は出力しない
+            if (element.tagName.toLowerCase() === 'svg') {
+                drawSvg(page, element, toPageBox);
+                return;
+            }
+            const style = window.getComputedStyle(element);
+            if (style.display === 'none' || style.visibility === 'hidden') return;
+            const rect = element.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) return;
+            const box = toPageBox(rect);
+
+            const background = parseColor(style.backgroundColor);
+            if (background) {
+                page.fillRect(box.x, box.top, box.width, box.height, background);
+            }
+            if (element.tagName === 'IMG') {
+                drawImage(pdf, page, element, box, toPageBox(getClipElement(element).getBoundingClientRect()));
+            }
+            drawBorders(page, style, box);
+        });
+
+        drawTextNodes(page, pageElement, pageRect, scale);
+    }
+
+    /**
+     * 写真の切り抜き範囲となる要素(写真エリア)を返す
+     */
+    function getClipElement(element) {
+        return element.closest('.photo-area') || element.parentElement;
+    }
+
+    /**
+     * object-fitを考慮して画像を描画する(親要素の外にはみ出す部分は切り抜く)
+     */
+    function drawImage(pdf, page, img, box, parentBox) {
+        if (!img.naturalWidth || !img.src.startsWith('data:image/jpeg')) return;
+        const imageId = pdf.addJpeg(img.src, img.naturalWidth, img.naturalHeight);
+        const objectFit = window.getComputedStyle(img).objectFit;
+        const widthRatio = box.width / img.naturalWidth;
+        const heightRatio = box.height / img.naturalHeight;
+        let ratio;
+        if (objectFit === 'cover') ratio = Math.max(widthRatio, heightRatio);
+        else if (objectFit === 'contain') ratio = Math.min(widthRatio, heightRatio);
+        else ratio = null;
+        const drawWidth = ratio ? img.naturalWidth * ratio : box.width;
+        const drawHeight = ratio ? img.naturalHeight * ratio : box.height;
+        const x = box.x + (box.width - drawWidth) / 2;
+        const top = box.top + (box.height - drawHeight) / 2;
+
+        const clipLeft = Math.max(box.x, parentBox.x);
+        const clipTop = Math.max(box.top, parentBox.top);
+        const clip = {
+            x: clipLeft,
+            top: clipTop,
+            width: Math.min(box.x + box.width, parentBox.x + parentBox.width) - clipLeft,
+            height: Math.min(box.top + box.height, parentBox.top + parentBox.height) - clipTop,
+        };
+        page.image(imageId, x, top, drawWidth, drawHeight, clip);
+    }
+
+    function drawBorders(page, style, box) {
+        const sides = [
+            ['Top', box.x, box.top, box.x + box.width, box.top],
+            ['Right', box.x + box.width, box.top, box.x + box.width, box.top + box.height],
+            ['Bottom', box.x, box.top + box.height, box.x + box.width, box.top + box.height],
+            ['Left', box.x, box.top, box.x, box.top + box.height],
+        ];
+        sides.forEach(([side, x1, y1, x2, y2]) => {
+            const width = parseFloat(style[`border${side}Width`]) * PX_TO_PT;
+            const color = parseColor(style[`border${side}Color`]);
+            if (!width || !color || style[`border${side}Style`] === 'none') return;
+            // 線幅の半分だけ内側に寄せて、ブラウザの描画位置に合わせる
+            const inset = width / 2;
+            const dx = side === 'Left' ? inset : side === 'Right' ? -inset : 0;
+            const dy = side === 'Top' ? inset : side === 'Bottom' ? -inset : 0;
+            page.line(x1 + dx, y1 + dy, x2 + dx, y2 + dy, width, color);
+        });
+    }
+
+    /**
+     * 写真に重ねたSVG(書き込み)をベクターのままPDFに描画する
+     * 画面上の変換行列で座標を求めるため、トリミング表示でもプレビューと同じ位置になる
+     */
+    function drawSvg(page, svg, toPageBox) {
+        const clip = toPageBox(getClipElement(svg).getBoundingClientRect());
+        const origin = toPageBox({ left: 0, top: 0, width: 0, height: 0 });
+        const pageScale = toPageBox({ left: 0, top: 0, width: 1, height: 0 }).width;
+        page.pushClip(clip);
+        svg.querySelectorAll('line, polyline, polygon, rect, ellipse, text').forEach(shape => {
+            const matrix = shape.getScreenCTM();
+            if (!matrix) return;
+            const toPage = (x, y) => [
+                (matrix.a * x + matrix.c * y + matrix.e) * pageScale + origin.x,
+                (matrix.b * x + matrix.d * y + matrix.f) * pageScale + origin.top,
+            ];
+            const unit = matrix.a * pageScale;
+            const attr = (name) => parseFloat(shape.getAttribute(name)) || 0;
+            const options = {
+                stroke: parseColor(shape.getAttribute('stroke')),
+                fill: parseColor(shape.getAttribute('fill')),
+                lineWidth: attr('stroke-width') * unit,
+            };
+
+            switch (shape.tagName.toLowerCase()) {
+                case 'line':
+                    page.path([toPage(attr('x1'), attr('y1')), toPage(attr('x2'), attr('y2'))], options);
+                    break;
+                case 'polyline':
+                case 'polygon': {
+                    const points = shape.getAttribute('points').trim().split(/\s+/).map(pair => toPage(...pair.split(',').map(Number)));
+                    page.path(points, { ...options, closed: shape.tagName.toLowerCase() === 'polygon' });
+                    break;
+                }
+                case 'rect': {
+                    const [x, y, w, h] = [attr('x'), attr('y'), attr('width'), attr('height')];
+                    page.path([toPage(x, y), toPage(x + w, y), toPage(x + w, y + h), toPage(x, y + h)], { ...options, closed: true });
+                    break;
+                }
+                case 'ellipse': {
+                    const [cx, cy] = toPage(attr('cx'), attr('cy'));
+                    page.ellipse(cx, cy, attr('rx') * unit, attr('ry') * unit, options);
+                    break;
+                }
+                case 'text': {
+                    const [x, y] = toPage(attr('x'), attr('y'));
+                    page.text(shape.textContent, x, y, attr('font-size') * unit, {
+                        bold: shape.getAttribute('font-weight') === 'bold',
+                        color: options.fill || [0, 0, 0],
+                        positions: getSvgCharPositions(shape, toPage, x),
+                    });
+                    break;
+                }
+            }
+        });
+        page.popClip();
+    }
+
+    /**
+     * SVGのテキストの各文字の位置(行頭からの距離 pt)をブラウザの配置から求める。求められなければnull
+     */
+    function getSvgCharPositions(shape, toPage, startX) {
+        const text = shape.textContent;
+        const chars = Array.from(text);
+        try {
+            // 文字の数え方(UTF-16単位か文字単位か)はブラウザによって異なる
+            const byCodeUnit = shape.getNumberOfChars() === text.length;
+            let index = 0;
+            return chars.map(char => {
+                const point = shape.getStartPositionOfChar(index);
+                index += byCodeUnit ? char.length : 1;
+                return toPage(point.x, point.y)[0] - startX;
+            });
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * テキストノードを1文字ずつ計測し、ブラウザでの改行位置どおりに行単位で描画する
+     * 文字の位置も計測した位置のままPDFに指定する(PDFビューアのフォントの文字幅に左右されないようにする)
+     */
+    function drawTextNodes(page, pageElement, pageRect, scale) {
+        const walker = document.createTreeWalker(pageElement, NodeFilter.SHOW_TEXT);
+        const range = document.createRange();
+        let node;
+        while ((node = walker.nextNode())) {
+            if (!node.textContent.trim() || node.parentElement.closest('svg, .no-print')) continue;
+            const style = window.getComputedStyle(node.parentElement);
+            if (style.display === 'none' || style.visibility === 'hidden') continue;
+            const fontSizePx = parseFloat(style.fontSize);
+            const options = {
+                fontFamily: /serif/.test(style.fontFamily) && !/sans-serif/.test(style.fontFamily) ? 'serif' : 'sans-serif',
+                bold: parseInt(style.fontWeight, 10) >= 600,
+                color: parseColor(style.color) || [0, 0, 0],
+            };
+
+            const text = node.textContent;
+            let line = null;
+            const flush = () => {
+                // 行末の空白は描画しない
+                while (line && line.chars[line.chars.length - 1] === ' ') {
+                    line.chars.pop();
+                    line.lefts.pop();
+                }
+                if (line && line.chars.length > 0) {
+                    // 行の矩形は画面上(ズーム後)の座標なので、フォントサイズも画面上の大きさに換算する
+                    const screenFontSize = fontSizePx * PX_TO_PT / scale;
+                    const baseline = line.top + (line.height - screenFontSize) / 2 + screenFontSize * 0.88;
+                    page.text(line.chars.join(''), (line.left - pageRect.left) * scale, (baseline - pageRect.top) * scale, fontSizePx * PX_TO_PT, {
+                        ...options,
+                        positions: line.lefts.map(left => (left - line.left) * scale),
+                    });
+                }
+                line = null;
+            };
+            for (let i = 0; i < text.length;) {
+                const code = text.charCodeAt(i);
+                const step = code >= 0xD800 && code <= 0xDBFF ? 2 : 1;
+                range.setStart(node, i);
+                range.setEnd(node, Math.min(i + step, text.length));
+                const rect = range.getClientRects()[0];
+                const char = text.slice(i, i + step);
+                i += step;
+                if (!rect || (rect.width === 0 && /\s/.test(char))) continue;
+                if (line && Math.abs(rect.top - line.top) > rect.height / 2) flush();
+                if (!line) {
+                    if (/\s/.test(char)) continue;
+                    line = { chars: [], lefts: [], left: rect.left, top: rect.top, height: rect.height };
+                }
+                line.chars.push(/\s/.test(char) ? ' ' : char);
+                line.lefts.push(rect.left);
+            }
+            flush();
+        }
+        range.detach();
+    }
+});
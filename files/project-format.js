@@ -0,0 +1,312 @@
+// 現場データファイル用JavaScript
+// 現場データを「project.json + 画像ファイル」のZIPとして保存し、読み込み時に検証と段階的な変換を行う
+//
+// 形式のバージョン
+//   1: 旧形式。状態をそのままJSONにしたもの(画像はdata URLで埋め込み)
+//   2: ZIP形式。project.json の state 内の画像は images/ 以下のファイル名で参照する
+//   3: セクション・表紙・目次の設定を追加
+//   4: 1ページの写真枚数(photosPerPage)をページレイアウト(layout)に置き換え
+//   5: 写真の取り込み順(importOrder)を追加
+(() => {
+    const FORMAT_NAME = 'genba-photo-project';
+    const CURRENT_VERSION = 5;
+    const MANIFEST_NAME = 'project.json';
+    const IMAGE_KEYS = { url: 'original', retouchedUrl: 'retouched', editedUrl: 'edited', sourceUrl: 'source' }; // 写真のプロパティとZIP内のファイル名の対応
+
+    const SETTING_RULES = {
+        orientation: { values: ['portrait', 'landscape'], fallback: 'portrait' },
+        fontFamily: { values: ['sans-serif', 'serif'], fallback: 'sans-serif' },
+        fontWeight: { values: ['normal', 'bold'], fallback: 'normal' },
+        imageQuality: { values: ['high', 'highest'], fallback: 'high' },
+        imageDisplayMode: { values: ['trim', 'fit'], fallback: 'trim' },
+    };
+
+    /**
+     * 現場データファイルを読み込めなかったときのエラー
+     * details に原因(どの写真・どの項目か)を1件ずつ格納する
+     */
+    class ProjectFileError extends Error {
+        constructor(message, details = []) {
+            super(message);
+            this.name = 'ProjectFileError';
+            this.details = details;
+        }
+    }
+
+    // バージョン n のデータを n + 1 に変換する処理
+    const MIGRATIONS = {
+        1: (state) => {
+            const { zoomLevel, ...rest } = state;
+            return {
+                ...rest,
+                imageQuality: rest.imageQuality || 'high',
+                imageDisplayMode: rest.imageDisplayMode || 'trim',
+                photoInfoFields: rest.photoInfoFields || { takenAt: true, gps: false, cameraModel: false },
+                headerValues: rest.headerValues || {},
+                photos: Array.isArray(rest.photos)
+                    ? rest.photos.map(photo => ({ location: '', comment: '', annotations: [], ...photo }))
+                    : rest.photos,
+            };
+        },
+        2: (state) => ({
+            ...state,
+            sections: [],
+            coverPage: false,
+            coverTitle: '工事写真帳',
+            tableOfContents: false,
+        }),
+        3: (state) => {
+            const { photosPerPage, ...rest } = state;
+            return { ...rest, layout: window.PageLayout.fromPhotosPerPage(photosPerPage) };
+        },
+        4: (state) => ({
+            ...state,
+            // 取り込み順は記録していなかったため、保存時の並び順を取り込み順とみなす
+            photos: Array.isArray(state.photos)
+                ? state.photos.map((photo, index) => ({ importOrder: index + 1, ...photo }))
+                : state.photos,
+        }),
+    };
+
+    /**
+     * 指定したバージョンの状態を現在のバージョンまで1段階ずつ変換する
+     */
+    function migrateState(state, version) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            throw new ProjectFileError('現場データが見つかりません。', ['ファイルの中身が現場データの形式ではありません。']);
+        }
+        if (!Number.isInteger(version) || version < 1) {
+            throw new ProjectFileError('ファイルの形式バージョンが不正です。', [`バージョン: ${version}`]);
+        }
+        if (version > CURRENT_VERSION) {
+            throw new ProjectFileError('このファイルは新しいバージョンのアプリで保存されています。アプリを更新してから読み込んでください。',
+                [`ファイルの形式: ${version} / このアプリの対応形式: ${CURRENT_VERSION}まで`]);
+        }
+        let migrated = state;
+        for (let v = version; v < CURRENT_VERSION; v++) {
+            migrated = MIGRATIONS[v](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * 状態の内容を検証する。読み込めない問題があれば ProjectFileError を投げる
+     * 設定値が範囲外の場合は既定値に戻して続行する
+     */
+    function validateState(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            throw new ProjectFileError('現場データが見つかりません。', ['ファイルの中身が現場データの形式ではありません。']);
+        }
+        const errors = [];
+        if (!Array.isArray(state.photos)) {
+            errors.push('写真の一覧(photos)がありません。');
+        } else {
+            state.photos.forEach((photo, index) => {
+                const label = `写真${index + 1}`;
+                if (!photo || typeof photo !== 'object') {
+                    errors.push(`${label}: データが壊れています。`);
+                    return;
+                }
+                if (typeof photo.id !== 'number') errors.push(`${label}: IDがありません。`);
+                if (typeof photo.url !== 'string' || !photo.url.startsWith('data:image/')) errors.push(`${label}: 画像がありません。`);
+                if (photo.editedUrl != null && (typeof photo.editedUrl !== 'string' || !photo.editedUrl.startsWith('data:image/'))) {
+                    errors.push(`${label}: 編集後の画像が壊れています。`);
+                }
+                if (photo.retouchedUrl != null && (typeof photo.retouchedUrl !== 'string' || !photo.retouchedUrl.startsWith('data:image/'))) {
+                    errors.push(`${label}: 補正後の画像が壊れています。`);
+                }
+                if (photo.sourceUrl != null && (typeof photo.sourceUrl !== 'string' || !photo.sourceUrl.startsWith('data:image/jpeg'))) {
+                    errors.push(`${label}: 元の画像が壊れています。`);
+                }
+                if (photo.annotations !== undefined && !Array.isArray(photo.annotations)) errors.push(`${label}: 書き込みのデータが壊れています。`);
+            });
+        }
+        ['siteName', 'personName', 'date'].forEach(key => {
+            if (state[key] !== undefined && typeof state[key] !== 'string') errors.push(`${key} が文字列ではありません。`);
+        });
+        if (!Array.isArray(state.sections)) {
+            errors.push('セクションの一覧(sections)がありません。');
+        } else {
+            state.sections.forEach((section, index) => {
+                if (!section || typeof section.id !== 'string' || typeof section.name !== 'string') {
+                    errors.push(`セクション${index + 1}: データが壊れています。`);
+                }
+            });
+        }
+        if (errors.length > 0) {
+            throw new ProjectFileError('現場データに読み込めない項目があります。', errors);
+        }
+
+        // 存在しないセクションを指す写真はセクションなしとして扱う
+        const sectionIds = new Set(state.sections.map(section => section.id));
+        state.photos.forEach(photo => {
+            if (photo.sectionId != null && !sectionIds.has(photo.sectionId)) photo.sectionId = null;
+        });
+
+        Object.entries(SETTING_RULES).forEach(([key, rule]) => {
+            if (!rule.values.includes(state[key])) {
+                console.warn(`Invalid setting "${key}": ${state[key]}. Using "${rule.fallback}".`);
+                state[key] = rule.fallback;
+            }
+        });
+        state.fontSize = Number(state.fontSize) > 0 ? Number(state.fontSize) : 10;
+        if (!state.layout || typeof state.layout !== 'object') {
+            console.warn('Invalid layout. Using the default layout.');
+            state.layout = window.PageLayout.createDefaultLayout();
+        }
+        state.pageSetup = window.PageSetup.normalizePageSetup(state.pageSetup);
+        state.keepSourceImages = state.keepSourceImages === true;
+        if (typeof state.deliveryStandard !== 'string') state.deliveryStandard = window.PhotoDelivery.DEFAULT_STANDARD;
+        state.photos.forEach(photo => {
+            if (photo.pageLayout != null && typeof photo.pageLayout.id !== 'string') delete photo.pageLayout;
+            if (photo.delivery != null && (typeof photo.delivery !== 'object' || Array.isArray(photo.delivery))) delete photo.delivery;
+            const retouch = window.PhotoRetouch.normalizeRetouch(photo.retouch);
+            if (retouch) photo.retouch = retouch;
+            else delete photo.retouch;
+            if (photo.needsRedaction !== true) delete photo.needsRedaction;
+            if (photo.annotations) photo.annotations = window.AnnotationEditor.normalizeAnnotations(photo.annotations);
+        });
+        // 比較写真の組は連続して並べ、1枚だけになった組は解消する
+        state.photos = window.PhotoComparison.normalize(state.photos);
+        return state;
+    }
+
+    function dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function bytesToDataUrl(bytes, mimeType) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(new Blob([bytes], { type: mimeType }));
+        });
+    }
+
+    function getImageExtension(dataUrl) {
+        const mimeType = /^data:([^;,]+)/.exec(dataUrl)[1];
+        return { 'image/png': 'png', 'image/webp': 'webp' }[mimeType] || 'jpg';
+    }
+
+    function getMimeType(fileName) {
+        return { png: 'image/png', webp: 'image/webp' }[fileName.split('.').pop().toLowerCase()] || 'image/jpeg';
+    }
+
+    /**
+     * 状態を現場データファイル(ZIP)に変換する
+     * 画像は data URL から取り出して images/ 以下に個別のファイルとして格納する
+     */
+    function createProjectFile(state) {
+        const files = [];
+        const photos = state.photos.map((photo, index) => {
+            const number = String(index + 1).padStart(3, '0');
+            const stored = { ...photo };
+            Object.entries(IMAGE_KEYS).forEach(([key, suffix]) => {
+                if (!photo[key]) return;
+                const name = `images/${number}_${suffix}.${getImageExtension(photo[key])}`;
+                files.push({ name, data: dataUrlToBytes(photo[key]), compress: false });
+                stored[key] = name;
+            });
+            return stored;
+        });
+        const manifest = {
+            format: FORMAT_NAME,
+            version: CURRENT_VERSION,
+            savedAt: new Date().toISOString(),
+            state: { ...state, photos },
+        };
+        files.unshift({ name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2), compress: true });
+        return window.ZipArchive.writeZip(files);
+    }
+
+    /**
+     * ZIP内のファイル名で参照している画像を data URL に戻す
+     */
+    async function resolveImages(state, entries) {
+        if (!Array.isArray(state.photos)) return state;
+        const missing = [];
+        const photos = await Promise.all(state.photos.map(async (photo, index) => {
+            if (!photo || typeof photo !== 'object') return photo;
+            const resolved = { ...photo };
+            for (const key of Object.keys(IMAGE_KEYS)) {
+                const name = photo[key];
+                if (typeof name !== 'string' || name.startsWith('data:')) continue;
+                const entry = entries.get(name);
+                if (!entry) {
+                    missing.push(`写真${index + 1}: 画像ファイル ${name} が見つかりません。`);
+                    continue;
+                }
+                resolved[key] = await bytesToDataUrl(await entry.bytes(), getMimeType(name));
+            }
+            return resolved;
+        }));
+        if (missing.length > 0) {
+            throw new ProjectFileError('ZIPファイル内の画像が不足しています。', missing);
+        }
+        return { ...state, photos };
+    }
+
+    async function readPackage(buffer) {
+        let entries;
+        try {
+            entries = window.ZipArchive.readZip(buffer);
+        } catch (err) {
+            throw new ProjectFileError('ZIPファイルが壊れています。', [err.message]);
+        }
+        const manifestEntry = entries.get(MANIFEST_NAME);
+        if (!manifestEntry) {
+            throw new ProjectFileError('現場データのZIPファイルではありません。', [`${MANIFEST_NAME} が見つかりません。`]);
+        }
+        let manifest;
+        try {
+            manifest = JSON.parse(await manifestEntry.text());
+        } catch (err) {
+            throw new ProjectFileError(`${MANIFEST_NAME} を読み取れません。`, [err.message]);
+        }
+        if (!manifest || manifest.format !== FORMAT_NAME) {
+            throw new ProjectFileError('現場データのZIPファイルではありません。', [`${MANIFEST_NAME} の形式名が一致しません。`]);
+        }
+        if (!manifest.state || typeof manifest.state !== 'object') {
+            throw new ProjectFileError('現場データが見つかりません。', [`${MANIFEST_NAME} に state がありません。`]);
+        }
+        const state = await resolveImages(manifest.state, entries);
+        return migrateState(state, manifest.version);
+    }
+
+    function readLegacyJson(buffer) {
+        let data;
+        try {
+            data = JSON.parse(new TextDecoder().decode(buffer));
+        } catch (err) {
+            throw new ProjectFileError('JSONファイルを読み取れません。', [err.message]);
+        }
+        if (data && data.format === FORMAT_NAME) {
+            throw new ProjectFileError('project.json だけでは読み込めません。', ['画像を含むZIPファイルをそのまま選択してください。']);
+        }
+        return migrateState(data, 1);
+    }
+
+    /**
+     * 現場データファイル(ZIPまたは旧形式のJSON)を読み込み、検証済みの状態を返す
+     */
+    function readProjectFile(file) {
+        return file.arrayBuffer().then(buffer => {
+            const signature = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+            const isZip = signature[0] === 0x50 && signature[1] === 0x4B; // "PK"
+            return isZip ? readPackage(buffer) : readLegacyJson(buffer);
+        }).then(validateState);
+    }
+
+    window.ProjectFormat = {
+        CURRENT_VERSION,
+        ProjectFileError,
+        migrateState,
+        validateState,
+        createProjectFile,
+        readProjectFile,
+    };
+})();
@@ -0,0 +1,111 @@
+// 現場データ保存用JavaScript (IndexedDB)
+// 現場ごとの状態を projects ストアに保存し、最後に開いた現場IDを meta ストアに記録する
+// 帳票テンプレートは現場をまたいで使えるよう templates ストアに保存する
+(() => {
+    const DB_NAME = 'genba-photo';
+    const DB_VERSION = 2;
+    const PROJECTS_STORE = 'projects';
+    const META_STORE = 'meta';
+    const TEMPLATES_STORE = 'templates';
+    const LAST_PROJECT_KEY = 'lastProjectId';
+
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                    db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE);
+                }
+                if (!db.objectStoreNames.contains(TEMPLATES_STORE)) {
+                    db.createObjectStore(TEMPLATES_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return dbPromise;
+    }
+
+    /**
+     * 1つのストアに対するリクエストをPromiseとして実行する
+     */
+    function runRequest(storeName, mode, createRequest) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    function generateProjectId() {
+        return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function saveProject(project) {
+        return runRequest(PROJECTS_STORE, 'readwrite', store => store.put(project)).then(() => project);
+    }
+
+    function getProject(id) {
+        return runRequest(PROJECTS_STORE, 'readonly', store => store.get(id));
+    }
+
+    function deleteProject(id) {
+        return runRequest(PROJECTS_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 保存済みの現場を更新日時の新しい順で返す(状態本体は含めない)
+     */
+    function listProjects() {
+        return runRequest(PROJECTS_STORE, 'readonly', store => store.getAll()).then(projects => projects
+            .map(({ id, name, updatedAt, photoCount }) => ({ id, name, updatedAt, photoCount }))
+            .sort((a, b) => b.updatedAt - a.updatedAt));
+    }
+
+    function getLastProjectId() {
+        return runRequest(META_STORE, 'readonly', store => store.get(LAST_PROJECT_KEY));
+    }
+
+    function setLastProjectId(id) {
+        return runRequest(META_STORE, 'readwrite', store => store.put(id, LAST_PROJECT_KEY));
+    }
+
+    function saveTemplate(template) {
+        return runRequest(TEMPLATES_STORE, 'readwrite', store => store.put(template)).then(() => template);
+    }
+
+    function deleteTemplate(id) {
+        return runRequest(TEMPLATES_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    function listTemplates() {
+        return runRequest(TEMPLATES_STORE, 'readonly', store => store.getAll())
+            .then(templates => templates.sort((a, b) => a.name.localeCompare(b.name, 'ja')));
+    }
+
+    window.ProjectStore = {
+        generateProjectId,
+        saveProject,
+        getProject,
+        deleteProject,
+        listProjects,
+        getLastProjectId,
+        setLastProjectId,
+        saveTemplate,
+        deleteTemplate,
+        listTemplates,
+    };
+})();
@@ -0,0 +1,238 @@
+// 帳票テンプレート用JavaScript
+// ヘッダー・フッター・写真ごとの項目(ラベル・種類・並び順・配置)を定義する
+(() => {
+    const FIELD_TYPES = {
+        text: 'テキスト',
+        textarea: '複数行テキスト',
+        date: '日付',
+        select: '選択肢',
+    };
+
+    const PLACEMENTS = {
+        'header-left': 'ヘッダー左',
+        'header-right': 'ヘッダー右',
+        footer: 'フッター',
+        photo: '写真ごと',
+        hidden: '非表示',
+    };
+
+    // 既存の状態プロパティに値を保存する組み込み項目(削除不可)
+    const BUILTIN_HEADER_KEYS = ['siteName', 'personName', 'date'];
+    const BUILTIN_PHOTO_KEYS = ['location', 'comment'];
+
+    function createDefaultTemplate() {
+        return {
+            id: 'default',
+            name: '標準',
+            fields: [
+                { id: 'siteName', label: '現場名', type: 'text', placement: 'header-left', builtin: true, placeholder: '〇〇町〇-〇-〇' },
+                { id: 'personName', label: '担当者', type: 'text', placement: 'header-right', builtin: true, placeholder: '山田 太郎' },
+                { id: 'date', label: '日時', type: 'date', placement: 'header-right', builtin: true },
+                { id: 'location', label: '場所', type: 'text', placement: 'photo', builtin: true },
+                { id: 'comment', label: 'コメント', type: 'textarea', placement: 'photo', builtin: true },
+            ],
+        };
+    }
+
+    /**
+     * 古いデータや不完全なテンプレートに組み込み項目を補う
+     */
+    function normalizeTemplate(template) {
+        const defaults = createDefaultTemplate();
+        if (!template || !Array.isArray(template.fields)) return defaults;
+        const fields = template.fields.map(field => ({ options: [], ...field }));
+        defaults.fields.forEach(builtinField => {
+            if (!fields.some(field => field.id === builtinField.id)) fields.push(builtinField);
+        });
+        return { ...template, fields };
+    }
+
+    function isPhotoField(field) {
+        return BUILTIN_PHOTO_KEYS.includes(field.id) || (!field.builtin && field.placement === 'photo');
+    }
+
+    function getFieldsByPlacement(template, placement) {
+        return template.fields.filter(field => field.placement === placement);
+    }
+
+    /**
+     * 入力欄を表示する共通情報の項目(非表示を含むヘッダー系の項目)
+     */
+    function getHeaderInputFields(template) {
+        return template.fields.filter(field => !isPhotoField(field));
+    }
+
+    function getPhotoInputFields(template) {
+        return template.fields.filter(field => isPhotoField(field) && field.placement !== 'hidden');
+    }
+
+    function getHeaderValue(state, field) {
+        if (BUILTIN_HEADER_KEYS.includes(field.id)) return state[field.id] || '';
+        return (state.headerValues || {})[field.id] || '';
+    }
+
+    function setHeaderValue(state, field, value) {
+        if (BUILTIN_HEADER_KEYS.includes(field.id)) {
+            state[field.id] = value;
+        } else {
+            state.headerValues = { ...state.headerValues, [field.id]: value };
+        }
+    }
+
+    function getPhotoValue(photo, field) {
+        if (BUILTIN_PHOTO_KEYS.includes(field.id)) return photo[field.id] || '';
+        return (photo.fields || {})[field.id] || '';
+    }
+
+    function setPhotoValue(photo, field, value) {
+        if (BUILTIN_PHOTO_KEYS.includes(field.id)) {
+            photo[field.id] = value;
+        } else {
+            photo.fields = { ...photo.fields, [field.id]: value };
+        }
+    }
+
+    /**
+     * 項目の種類に応じた入力欄のHTMLを生成する
+     * attributes には data-* 属性などを文字列で渡す
+     */
+    function renderInput(field, value, attributes, className) {
+        const placeholder = window.DomUtils.escapeHtml(field.placeholder || field.label);
+        switch (field.type) {
+            case 'textarea':
+                return `<textarea ${attributes} rows="2" placeholder="${placeholder}" class="${className}">${window.DomUtils.escapeHtml(value)}</textarea>`;
+            case 'date':
+                return `<input type="date" ${attributes} value="${window.DomUtils.escapeHtml(value)}" class="${className}">`;
+            case 'select': {
+                const options = ['', ...(field.options || [])].map(option =>
+                    `<option value="${window.DomUtils.escapeHtml(option)}" ${option === value ? 'selected' : ''}>${window.DomUtils.escapeHtml(option || '(未選択)')}</option>`
+                ).join('');
+                return `<select ${attributes} class="${className}">${options}</select>`;
+            }
+            default:
+                return `<input type="text" ${attributes} value="${window.DomUtils.escapeHtml(value)}" placeholder="${placeholder}" class="${className}">`;
+        }
+    }
+
+    // --- テンプレート編集画面 ---
+
+    let editor = null;
+
+    function createFieldId() {
+        return `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    function setupEditor() {
+        const modal = document.getElementById('template-modal');
+        const nameInput = document.getElementById('template-name');
+        const fieldList = document.getElementById('template-field-list');
+
+        const instance = { template: null, onApply: null };
+
+        const placementOptions = (field) => Object.entries(PLACEMENTS)
+            .filter(([placement]) => {
+                if (BUILTIN_PHOTO_KEYS.includes(field.id)) return placement === 'photo' || placement === 'hidden';
+                if (BUILTIN_HEADER_KEYS.includes(field.id)) return placement !== 'photo';
+                return true;
+            })
+            .map(([placement, label]) => `<option value="${placement}" ${placement === field.placement ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const typeOptions = (field) => Object.entries(FIELD_TYPES)
+            .map(([type, label]) => `<option value="${type}" ${type === field.type ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const renderFields = () => {
+            fieldList.innerHTML = instance.template.fields.map((field, index) => `
+                <div class="template-field-row flex flex-wrap items-center gap-2 p-2 border rounded-md bg-slate-50" data-index="${index}">
+                    <input type="text" data-prop="label" value="${window.DomUtils.escapeHtml(field.label)}" class="rounded-md text-sm p-1 input-highlight" placeholder="項目名">
+                    <select data-prop="type" class="rounded-md text-sm input-highlight" ${field.builtin ? 'disabled' : ''}>${typeOptions(field)}</select>
+                    <select data-prop="placement" class="rounded-md text-sm input-highlight">${placementOptions(field)}</select>
+                    <input type="text" data-prop="options" value="${window.DomUtils.escapeHtml((field.options || []).join(','))}" class="rounded-md text-sm p-1 input-highlight ${field.type === 'select' ? '' : 'hidden'}" placeholder="選択肢をカンマ区切りで入力">
+                    <div class="flex gap-1 text-sm">
+                        <button type="button" data-action="up" class="px-2 border rounded-md" ${index === 0 ? 'disabled' : ''}>↑</button>
+                        <button type="button" data-action="down" class="px-2 border rounded-md" ${index === instance.template.fields.length - 1 ? 'disabled' : ''}>↓</button>
+                        ${field.builtin ? '' : '<button type="button" data-action="remove" class="px-2 border rounded-md text-red-500">削除</button>'}
+                    </div>
+                </div>`).join('');
+        };
+
+        fieldList.addEventListener('input', e => {
+            const row = e.target.closest('[data-index]');
+            if (!row) return;
+            const field = instance.template.fields[Number(row.dataset.index)];
+            const prop = e.target.dataset.prop;
+            if (prop === 'options') {
+                field.options = e.target.value.split(',').map(option => option.trim()).filter(Boolean);
+            } else {
+                field[prop] = e.target.value;
+            }
+            if (prop === 'type') renderFields();
+        });
+
+        fieldList.addEventListener('click', e => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const index = Number(button.closest('[data-index]').dataset.index);
+            const fields = instance.template.fields;
+            if (button.dataset.action === 'remove') {
+                fields.splice(index, 1);
+            } else {
+                const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+                [fields[index], fields[target]] = [fields[target], fields[index]];
+            }
+            renderFields();
+        });
+
+        document.getElementById('template-add-field').addEventListener('click', () => {
+            instance.template.fields.push({ id: createFieldId(), label: '新しい項目', type: 'text', options: [], placement: 'header-right' });
+            renderFields();
+        });
+
+        const close = () => modal.classList.add('hidden');
+
+        const apply = (saveToLibrary) => {
+            instance.template.name = nameInput.value.trim() || '無題のテンプレート';
+            close();
+            instance.onApply(instance.template, saveToLibrary);
+        };
+
+        document.getElementById('template-cancel').addEventListener('click', close);
+        document.getElementById('template-apply').addEventListener('click', () => apply(false));
+        document.getElementById('template-save').addEventListener('click', () => apply(true));
+
+        instance.open = (template, onApply) => {
+            instance.template = JSON.parse(JSON.stringify(normalizeTemplate(template)));
+            instance.onApply = onApply;
+            nameInput.value = instance.template.name || '';
+            renderFields();
+            modal.classList.remove('hidden');
+        };
+
+        return instance;
+    }
+
+    /**
+     * テンプレート編集画面を開く
+     * 適用時に onApply(template, saveToLibrary) が呼ばれる
+     */
+    function openEditor(template, onApply) {
+        if (!editor) editor = setupEditor();
+        editor.open(template, onApply);
+    }
+
+    window.ReportTemplate = {
+        createDefaultTemplate,
+        normalizeTemplate,
+        isPhotoField,
+        getFieldsByPlacement,
+        getHeaderInputFields,
+        getPhotoInputFields,
+        getHeaderValue,
+        setHeaderValue,
+        getPhotoValue,
+        setPhotoValue,
+        renderInput,
+        openEditor,
+    };
+})();
@@ -0,0 +1,87 @@
+// 元に戻す・やり直し用JavaScript
+// 状態の変更ごとにスナップショットを記録する。連続した入力は1つの操作にまとめる
+(() => {
+    /**
+     * 状態を複製する。文字列(画像のdata URLなど)は共有されるため、写真が多くてもメモリを圧迫しない
+     */
+    function cloneState(value) {
+        if (Array.isArray(value)) return value.map(cloneState);
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => { copy[key] = cloneState(value[key]); });
+            return copy;
+        }
+        return value;
+    }
+
+    /**
+     * 履歴を作成する
+     * limit: 保持する操作の数 / mergeInterval: 同じ mergeKey の変更を1つにまとめる間隔(ミリ秒)
+     */
+    function createHistory({ limit = 100, mergeInterval = 1000 } = {}) {
+        let undoStack = [];
+        let redoStack = [];
+        let current = null; // 最新の状態 { snapshot, label }
+        let lastMergeKey = null;
+        let lastRecordedAt = 0;
+
+        return {
+            /**
+             * 履歴を消去し、指定した状態を起点にする(別の現場を開いたときなど)
+             */
+            reset(snapshot) {
+                undoStack = [];
+                redoStack = [];
+                current = { snapshot, label: '' };
+                lastMergeKey = null;
+            },
+
+            /**
+             * 変更後の状態を記録する
+             * 直前と同じ mergeKey で間隔内の変更は、直前の操作に含める
+             */
+            record(snapshot, label, mergeKey = null) {
+                const now = Date.now();
+                const merge = mergeKey && mergeKey === lastMergeKey && now - lastRecordedAt < mergeInterval;
+                if (!merge && current) {
+                    undoStack.push(current);
+                    if (undoStack.length > limit) undoStack.shift();
+                }
+                current = { snapshot, label };
+                redoStack = [];
+                lastMergeKey = mergeKey;
+                lastRecordedAt = now;
+            },
+
+            /**
+             * 1つ前の状態を返す(戻せない場合は null)
+             */
+            undo() {
+                if (undoStack.length === 0) return null;
+                redoStack.push(current);
+                current = undoStack.pop();
+                lastMergeKey = null;
+                return current.snapshot;
+            },
+
+            redo() {
+                if (redoStack.length === 0) return null;
+                undoStack.push(current);
+                current = redoStack.pop();
+                lastMergeKey = null;
+                return current.snapshot;
+            },
+
+            // 元に戻す操作の名前(ボタンの説明に使う)
+            getUndoLabel() {
+                return undoStack.length > 0 ? current.label : null;
+            },
+
+            getRedoLabel() {
+                return redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null;
+            },
+        };
+    }
+
+    window.UndoHistory = { cloneState, createHistory };
+})();
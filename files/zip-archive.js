@@ -0,0 +1,155 @@
+// ZIP読み書き用JavaScript
+// 圧縮・展開にはブラウザ標準の CompressionStream / DecompressionStream を使う
+(() => {
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    function inflateRaw(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer));
+    }
+
+    function deflateRaw(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer));
+    }
+
+    const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 日時をZIPのMS-DOS形式(時刻・日付)に変換する
+     */
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+        };
+    }
+
+    /**
+     * ZIPファイルを読み込み、ファイル名をキーにしたエントリの一覧を返す
+     * 各エントリの bytes() で展開後のバイト列、text() でUTF-8文字列を取得できる
+     */
+    function readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // 末尾から中央ディレクトリ終端レコードを探す
+        let endOffset = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) throw new Error('ZIP形式ではありません');
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const entries = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) throw new Error('ZIPの目次が壊れています');
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localHeaderOffset = view.getUint32(offset + 42, true);
+            const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            const localNameLength = view.getUint16(localHeaderOffset + 26, true);
+            const localExtraLength = view.getUint16(localHeaderOffset + 28, true);
+            const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            const getBytes = () => {
+                if (method === 0) return Promise.resolve(data);
+                if (method === 8) return inflateRaw(data);
+                return Promise.reject(new Error(`未対応の圧縮形式です: ${name}`));
+            };
+            entries.set(name, {
+                name,
+                bytes: getBytes,
+                text: () => getBytes().then(b => textDecoder.decode(b)),
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    /**
+     * ファイルの一覧からZIPを作成する
+     * files: [{ name, data: Uint8Array または文字列, compress: 圧縮するかどうか }]
+     * JPEGなど圧縮済みの画像は compress: false で無圧縮のまま格納する
+     */
+    async function writeZip(files) {
+        const { time, date } = toDosDateTime(new Date());
+        const canCompress = typeof CompressionStream !== 'undefined';
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const nameBytes = textEncoder.encode(file.name);
+            const data = typeof file.data === 'string' ? textEncoder.encode(file.data) : file.data;
+            const method = file.compress && canCompress ? 8 : 0;
+            const stored = method === 8 ? await deflateRaw(data) : data;
+            const crc = crc32(data);
+
+            // ローカルファイルヘッダーと中央ディレクトリで共通の項目
+            const writeCommon = (view, at) => {
+                view.setUint16(at, 20, true); // 展開に必要なバージョン
+                view.setUint16(at + 2, 0x0800, true); // ファイル名はUTF-8
+                view.setUint16(at + 4, method, true);
+                view.setUint16(at + 6, time, true);
+                view.setUint16(at + 8, date, true);
+                view.setUint32(at + 10, crc, true);
+                view.setUint32(at + 14, stored.length, true);
+                view.setUint32(at + 18, data.length, true);
+                view.setUint16(at + 22, nameBytes.length, true);
+            };
+
+            const local = new Uint8Array(30 + nameBytes.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034B50, true);
+            writeCommon(localView, 4);
+            local.set(nameBytes, 30);
+
+            const central = new Uint8Array(46 + nameBytes.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014B50, true);
+            centralView.setUint16(4, 20, true); // 作成したバージョン
+            writeCommon(centralView, 6);
+            centralView.setUint32(42, offset, true);
+            central.set(nameBytes, 46);
+
+            parts.push(local, stored);
+            centralParts.push(central);
+            offset += local.length + stored.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054B50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, centralSize, true);
+        endView.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    window.ZipArchive = { readZip, writeZip };
+})();
@@ -0,0 +1,92 @@
+// Service Worker
+// アプリのファイルをすべてキャッシュしてオフラインでも起動できるようにし、
+// 共有メニュー(Web Share Target)から送られた写真を受け取ってアプリに渡す
+const CACHE_NAME = 'genba-photo-v5';
+const SHARED_CACHE_NAME = 'genba-photo-shared';
+const APP_PAGE = 'genba_photo_v1.0.html';
+
+// オフラインで使うファイルの一覧(ファイルを追加・削除したら CACHE_NAME の番号も上げる)
+const ASSETS = [
+    APP_PAGE,
+    'manifest.webmanifest',
+    'files/icon.svg',
+    'files/app-preview.css',
+    'files/print-layout.css',
+    'files/dom-utils.js',
+    'files/undo-history.js',
+    'files/exif-reader.js',
+    'files/image-resizer.js',
+    'files/image-pipeline.js',
+    'files/image-cache.js',
+    'files/pointer-reorder.js',
+    'files/photo-editor.js',
+    'files/photo-retouch.js',
+    'files/annotation-editor.js',
+    'files/blackboard.js',
+    'files/page-layout.js',
+    'files/photo-comparison.js',
+    'files/page-setup.js',
+    'files/report-template.js',
+    'files/zip-archive.js',
+    'files/photo-ledger.js',
+    'files/photo-delivery.js',
+    'files/project-format.js',
+    'files/project-store.js',
+    'files/genba-photo-api.js',
+    'files/offline-app.js',
+    'files/app-script.js',
+    'files/pdf-writer.js',
+    'files/print-script.js',
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(ASSETS))
+        .then(() => self.skipWaiting()));
+});
+
+// 古いバージョンのキャッシュを削除する
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name !== CACHE_NAME && name !== SHARED_CACHE_NAME)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+/**
+ * 共有された写真をキャッシュに一時保存し、アプリの画面に移動させる
+ * 画面側(offline-app.js)が起動時に取り出して取り込む
+ */
+async function receiveSharedFiles(request) {
+    const formData = await request.formData();
+    const files = formData.getAll('photos').filter(file => file instanceof File);
+    await caches.delete(SHARED_CACHE_NAME);
+    const cache = await caches.open(SHARED_CACHE_NAME);
+    await Promise.all(files.map((file, index) => cache.put(`shared/${index}`, new Response(file, {
+        headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) },
+    }))));
+    return Response.redirect(new URL(`${APP_PAGE}?shared=1`, self.registration.scope).href, 303);
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveSharedFiles(request));
+        return;
+    }
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // キャッシュがあればすぐに返し、裏で最新のファイルに更新する(次回の起動から反映される)
+    const update = fetch(request).then(response => {
+        if (response.ok && !url.search) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    });
+    event.waitUntil(update.catch(() => {}));
+    event.respondWith(caches.match(request, { ignoreSearch: true, cacheName: CACHE_NAME })
+        .then(cached => cached || update));
+});